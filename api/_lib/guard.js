@@ -0,0 +1,93 @@
+// Request guards shared by the functions in api/. Only our own pages may call them (the app's
+// origin, or one listed in API_ALLOWED_ORIGINS such as the Shopify store), and each client IP
+// gets a limited number of requests per minute, so they can't be used as an open proxy.
+//
+// Browsers can't fake Origin or Sec-Fetch-Site; other clients can, which is what the rate
+// limit is for. Counts are kept in memory, so each function instance limits on its own.
+
+import { sendJson } from './http.js';
+
+export const GUARD_CONFIG = {
+  WINDOW_MS: 60 * 1000,
+  MAX_TRACKED_CLIENTS: 5000
+};
+
+const hits = new Map();
+
+// Read on every request: vite.config.js copies .env into process.env after this module loads
+function allowedOrigins() {
+  return (process.env.API_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+}
+
+// Forwarded headers are only believed on Vercel, whose edge sets x-real-ip itself; anywhere else
+// (the dev server) a client could send them to pass as someone else
+function clientAddress(req) {
+  if (process.env.VERCEL && req.headers['x-real-ip']) return req.headers['x-real-ip'];
+  return req.socket ? req.socket.remoteAddress : 'unknown';
+}
+
+/**
+ * Same-origin requests, or cross-origin ones from an allowed origin (which get CORS headers)
+ */
+function isAllowedOrigin(req, res) {
+  const origin = req.headers.origin;
+  if (!origin) {
+    // Same-origin GETs don't always carry Origin; every current browser sends Sec-Fetch-Site
+    return req.headers['sec-fetch-site'] === 'same-origin';
+  }
+
+  let host;
+  try {
+    host = new URL(origin).host;
+  } catch (error) {
+    return false;
+  }
+  if (host === req.headers.host) return true;
+  if (!allowedOrigins().includes(origin)) return false;
+
+  res.setHeader('access-control-allow-origin', origin);
+  res.setHeader('vary', 'origin');
+  return true;
+}
+
+/**
+ * Counts the request against the client's budget for this minute
+ */
+function isWithinRateLimit(req, res, name, limit) {
+  const now = Date.now();
+  if (hits.size > GUARD_CONFIG.MAX_TRACKED_CLIENTS) {
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }
+
+  const key = `${name}:${clientAddress(req)}`;
+  let entry = hits.get(key);
+  if (!entry || entry.resetAt <= now) {
+    entry = { count: 0, resetAt: now + GUARD_CONFIG.WINDOW_MS };
+    hits.set(key, entry);
+  }
+  entry.count++;
+  if (entry.count <= limit) return true;
+
+  res.setHeader('retry-after', String(Math.ceil((entry.resetAt - now) / 1000)));
+  return false;
+}
+
+/**
+ * Runs both guards; when one fails the error response has been sent and the handler should return
+ */
+export function guardRequest(req, res, { name, limit }) {
+  if (!isAllowedOrigin(req, res)) {
+    sendJson(res, 403, { error: 'Requests are only accepted from our own pages' });
+    return false;
+  }
+  if (!isWithinRateLimit(req, res, name, limit)) {
+    sendJson(res, 429, { error: 'Too many requests, please try again in a minute' });
+    return false;
+  }
+  return true;
+}
@@ -0,0 +1,9 @@
+// Helpers shared by the functions in api/. The leading underscore keeps Vercel from
+// deploying this folder as a function of its own.
+
+export function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('content-type', 'application/json');
+  res.setHeader('cache-control', 'no-store');
+  res.end(JSON.stringify(body));
+}
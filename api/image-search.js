@@ -0,0 +1,84 @@
+// Image search proxy: calls the Custom Search JSON API server-side so the API key never ships
+// in the client bundle. GET /api/image-search?q=<query>&page=<n>&num=<n> responds with
+// { items, totalResults } (items as the API returns them), or { error } JSON
+//
+// Deployed as a Vercel function; vite.config.js mounts the same handler on the dev server.
+// GOOGLE_SEARCH_API_KEY and GOOGLE_SEARCH_ENGINE_ID are server-only variables (no VITE_ prefix).
+
+import { sendJson } from './_lib/http.js';
+import { guardRequest } from './_lib/guard.js';
+
+export const IMAGE_SEARCH_CONFIG = {
+  ENDPOINT: 'https://www.googleapis.com/customsearch/v1',
+  DEFAULT_ENGINE_ID: '825ca1503c1bd4d00',
+  MAX_QUERY_LENGTH: 200,
+  MAX_PAGE_SIZE: 10, // The API's own limit per request
+  MAX_RESULTS: 100, // The API stops paging after the first 100 results
+  SAFE_SEARCH: 'active',
+  TIMEOUT_MS: 8000,
+  REQUESTS_PER_MINUTE: 30 // Per client IP; every request costs API quota
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('allow', 'GET');
+    return sendJson(res, 405, { error: 'Method not allowed' });
+  }
+  if (!guardRequest(req, res, { name: 'image-search', limit: IMAGE_SEARCH_CONFIG.REQUESTS_PER_MINUTE })) {
+    return;
+  }
+
+  const apiKey = process.env.GOOGLE_SEARCH_API_KEY;
+  if (!apiKey) {
+    return sendJson(res, 503, { error: 'Image search is not configured' });
+  }
+
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const query = (params.get('q') || '').trim();
+  if (!query) {
+    return sendJson(res, 400, { error: 'Missing q parameter' });
+  }
+  if (query.length > IMAGE_SEARCH_CONFIG.MAX_QUERY_LENGTH) {
+    return sendJson(res, 400, { error: 'Search is too long' });
+  }
+
+  const num = clamp(parseInt(params.get('num'), 10) || IMAGE_SEARCH_CONFIG.MAX_PAGE_SIZE, 1, IMAGE_SEARCH_CONFIG.MAX_PAGE_SIZE);
+  const page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+  const start = (page - 1) * num + 1;
+  if (start + num - 1 > IMAGE_SEARCH_CONFIG.MAX_RESULTS) {
+    return sendJson(res, 200, { items: [], totalResults: 0 });
+  }
+
+  const upstream = new URLSearchParams({
+    key: apiKey,
+    cx: process.env.GOOGLE_SEARCH_ENGINE_ID || IMAGE_SEARCH_CONFIG.DEFAULT_ENGINE_ID,
+    q: query,
+    searchType: 'image',
+    num: String(num),
+    start: String(start),
+    safe: IMAGE_SEARCH_CONFIG.SAFE_SEARCH
+  });
+
+  try {
+    const response = await fetch(`${IMAGE_SEARCH_CONFIG.ENDPOINT}?${upstream.toString()}`, {
+      signal: AbortSignal.timeout(IMAGE_SEARCH_CONFIG.TIMEOUT_MS)
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      // Pass on the API's reason (quota, bad query), never the request URL with the key
+      const message = data.error && data.error.message ? data.error.message : `status ${response.status}`;
+      return sendJson(res, response.status === 429 ? 429 : 502, { error: `Image search failed: ${message}` });
+    }
+
+    return sendJson(res, 200, {
+      items: data.items || [],
+      totalResults: parseInt(data.searchInformation && data.searchInformation.totalResults, 10) || 0
+    });
+  } catch (error) {
+    console.warn('Image search failed:', query, error.message);
+    const timedOut = error.name === 'TimeoutError' || error.name === 'AbortError';
+    return sendJson(res, timedOut ? 504 : 502, { error: timedOut ? 'Image search took too long' : 'Image search failed' });
+  }
+}
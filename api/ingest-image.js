@@ -0,0 +1,209 @@
+// Image ingest: fetches a web image server-side (no CORS, no hotlink referrer) so the app can run it
+// through the compression pipeline and store it in uploadopenai instead of saving a third-party URL
+// GET /api/ingest-image?url=<image url> responds with the image bytes, or { error } JSON
+//
+// Deployed as a Vercel function; vite.config.js mounts the same handler on the dev server.
+// Uses plain Node req/res so it runs the same in both.
+
+import http from 'node:http';
+import https from 'node:https';
+import { lookup } from 'node:dns';
+import ipaddr from 'ipaddr.js';
+import { sendJson } from './_lib/http.js';
+import { guardRequest } from './_lib/guard.js';
+
+export const INGEST_LIMITS = {
+  MAX_BYTES: 15 * 1024 * 1024,
+  TIMEOUT_MS: 10000,
+  MAX_REDIRECTS: 3,
+  REQUESTS_PER_MINUTE: 20 // Per client IP
+};
+
+const ACCEPT = 'image/avif,image/webp,image/png,image/jpeg,image/*;q=0.8';
+
+// Raster formats the pipeline can decode; SVG is refused (it can carry scripts)
+const SIGNATURES = [
+  { type: 'image/jpeg', test: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { type: 'image/png', test: bytes => bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47 },
+  { type: 'image/gif', test: bytes => bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46 },
+  { type: 'image/webp', test: bytes => ascii(bytes, 0, 4) === 'RIFF' && ascii(bytes, 8, 12) === 'WEBP' },
+  { type: 'image/bmp', test: bytes => bytes[0] === 0x42 && bytes[1] === 0x4d },
+  // ISO-BMFF: AVIF and HEIC/HEIF, told apart by the brand
+  { type: 'image/avif', test: bytes => ascii(bytes, 4, 8) === 'ftyp' && ['avif', 'avis'].includes(ascii(bytes, 8, 12)) },
+  { type: 'image/heic', test: bytes => ascii(bytes, 4, 8) === 'ftyp' && ['heic', 'heix', 'hevc', 'heim', 'heis', 'mif1', 'msf1'].includes(ascii(bytes, 8, 12)) }
+];
+
+class IngestError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function ascii(bytes, start, end) {
+  return String.fromCharCode(...bytes.subarray(start, end));
+}
+
+export function sniffImageType(bytes) {
+  const match = SIGNATURES.find(signature => bytes.length >= 12 && signature.test(bytes));
+  return match ? match.type : null;
+}
+
+/**
+ * Only ordinary public unicast addresses. Loopback, private, link-local, CGNAT, reserved
+ * (192.0.0.0/24, 198.18.0.0/15, 240.0.0.0/4...), multicast, broadcast and the IPv6 ranges that
+ * wrap another address (6to4, Teredo, NAT64) are all refused. IPv4-mapped IPv6, in hex or
+ * dotted form, is checked as the IPv4 address it maps to.
+ */
+export function isPublicAddress(address) {
+  if (!ipaddr.isValid(address)) return false;
+  return ipaddr.process(address).range() === 'unicast';
+}
+
+/**
+ * Resolves for the socket itself (the lookup option of http.request), so the address that was
+ * checked is the one connected to; a second resolution (DNS rebinding) can't swap in another
+ */
+function publicLookup(hostname, options, callback) {
+  lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error || addresses.length === 0) {
+      return callback(new IngestError('Image host not found', 404));
+    }
+    if (!addresses.every(({ address }) => isPublicAddress(address))) {
+      return callback(new IngestError('Image host is not allowed', 403));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * Only http(s) URLs; an IP literal host is checked here since the socket skips the lookup for it
+ */
+function parseImageUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new IngestError('Not a valid URL', 400);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw new IngestError('Only http and https images can be copied', 400);
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (ipaddr.isValid(host) && !isPublicAddress(host)) {
+    throw new IngestError('Image host is not allowed', 403);
+  }
+  return parsed;
+}
+
+function requestImage(url, signal) {
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, {
+      lookup: publicLookup,
+      agent: false, // A fresh socket per hop, so every connection goes through publicLookup
+      signal,
+      headers: { accept: ACCEPT }
+    }, resolve);
+    request.on('error', reject);
+  });
+}
+
+async function readLimited(response) {
+  const declared = Number(response.headers['content-length']);
+  if (declared > INGEST_LIMITS.MAX_BYTES) {
+    throw new IngestError('Image is too large', 413);
+  }
+
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of response) {
+    total += chunk.length;
+    if (total > INGEST_LIMITS.MAX_BYTES) {
+      throw new IngestError('Image is too large', 413);
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Fetches and validates a remote image. Resolves with { bytes, contentType, finalUrl }.
+ * Redirects are followed by hand so every hop is checked; signal stops the download early
+ * (the caller went away).
+ */
+export async function fetchRemoteImage(url, { signal = null } = {}) {
+  const timeout = AbortSignal.timeout(INGEST_LIMITS.TIMEOUT_MS);
+  const combined = signal ? AbortSignal.any([timeout, signal]) : timeout;
+  let response = null;
+
+  try {
+    let current = url;
+    for (let hop = 0; hop <= INGEST_LIMITS.MAX_REDIRECTS; hop++) {
+      const parsed = parseImageUrl(current);
+      response = await requestImage(parsed, combined);
+
+      if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location) {
+        current = new URL(response.headers.location, parsed).toString();
+        response.resume();
+        continue;
+      }
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        throw new IngestError(`Image request failed (${response.statusCode})`, 502);
+      }
+
+      const bytes = await readLimited(response);
+      const contentType = sniffImageType(bytes);
+      if (!contentType) {
+        throw new IngestError('The link is not a supported image', 415);
+      }
+      return { bytes, contentType, finalUrl: parsed.toString() };
+    }
+    throw new IngestError('Too many redirects', 502);
+  } catch (error) {
+    if (timeout.aborted) throw new IngestError('Image took too long to download', 504);
+    if (signal && signal.aborted) throw new IngestError('Download cancelled', 499);
+    if (error instanceof IngestError) throw error;
+    throw new IngestError(`Could not download image: ${error.message}`, 502);
+  } finally {
+    if (response && !response.complete) response.destroy();
+  }
+}
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('allow', 'GET');
+    return sendJson(res, 405, { error: 'Method not allowed' });
+  }
+  if (!guardRequest(req, res, { name: 'ingest-image', limit: INGEST_LIMITS.REQUESTS_PER_MINUTE })) {
+    return;
+  }
+
+  const url = new URL(req.url, 'http://localhost').searchParams.get('url');
+  if (!url) {
+    return sendJson(res, 400, { error: 'Missing url parameter' });
+  }
+
+  // Stop downloading when the app cancels or the page goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const { bytes, contentType, finalUrl } = await fetchRemoteImage(url, { signal: controller.signal });
+    res.statusCode = 200;
+    res.setHeader('content-type', contentType);
+    res.setHeader('content-length', String(bytes.length));
+    res.setHeader('cache-control', 'no-store');
+    res.setHeader('x-source-url', finalUrl);
+    res.setHeader('access-control-expose-headers', 'x-source-url');
+    res.end(bytes);
+  } catch (error) {
+    console.warn('Image ingest failed:', url, error.message);
+    if (controller.signal.aborted) return;
+    sendJson(res, error.status || 500, { error: error.message });
+  }
+}
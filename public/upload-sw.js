@@ -0,0 +1,224 @@
+// Upload queue service worker: retries queued photo uploads and quote inserts through
+// Background Sync, even after the tab is closed. Mirrors runQueue in src/utils/uploadQueue.js;
+// entries carry their storage paths, endpoints and headers, so nothing here needs the app config.
+// Served as-is from public/, so no imports.
+
+const DB_NAME = 'cake-genie';
+const DB_VERSION = 2; // Keep in step with src/utils/imageStore.js
+const IMAGE_STORE = 'images';
+const UPLOAD_QUEUE_STORE = 'uploadqueue';
+const SYNC_TAG = 'cake-genie-uploads';
+const LOCK_NAME = 'cake-genie-upload-queue';
+// Same retry limits as UPLOAD_QUEUE_CONFIG in src/utils/uploadQueue.js
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY = 30 * 1000;
+const RETRY_MAX_DELAY = 30 * 60 * 1000;
+const RETRYABLE_STATUSES = [408, 409, 423, 429];
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(IMAGE_STORE)) db.createObjectStore(IMAGE_STORE);
+      if (!db.objectStoreNames.contains(UPLOAD_QUEUE_STORE)) db.createObjectStore(UPLOAD_QUEUE_STORE);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function runRequest(db, mode, makeRequest) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(UPLOAD_QUEUE_STORE, mode);
+    const request = makeRequest(tx.objectStore(UPLOAD_QUEUE_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const putEntry = (db, entry) => runRequest(db, 'readwrite', store => store.put(entry, entry.id));
+
+// Tell open tabs so they can update the gallery or resume the pricing wait
+async function notifyClients(entry) {
+  const { blob, renditions, endpoints, ...summary } = entry;
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach(client => client.postMessage({ type: 'upload-queue', entry: summary }));
+}
+
+async function uploadObject(endpoints, path, blob) {
+  const response = await fetch(`${endpoints.storage}/${endpoints.bucket}/${path}`, {
+    method: 'POST',
+    headers: {
+      ...endpoints.headers,
+      'content-type': blob.type || 'image/jpeg',
+      'cache-control': '3600',
+      'x-upsert': 'true'
+    },
+    body: blob
+  });
+  if (!response.ok) throw Object.assign(new Error(`Upload failed with status ${response.status}`), { status: response.status });
+  return `${endpoints.storage}/public/${endpoints.bucket}/${path}`;
+}
+
+async function uploadPhotoEntry(entry) {
+  const publicUrl = await uploadObject(entry.endpoints, entry.objectPath, entry.blob);
+
+  let renditionUrls = null;
+  try {
+    for (const [name, rendition] of Object.entries(entry.renditions || {})) {
+      // Same shape as uploadImageRenditions in src/supabase.js: URLs plus { full, thumb, medium } widths
+      renditionUrls = renditionUrls || { widths: { full: rendition.fullWidth || null } };
+      renditionUrls[name] = await uploadObject(entry.endpoints, rendition.path, rendition.blob);
+      renditionUrls.widths[name] = rendition.width || null;
+    }
+  } catch (error) {
+    // Thumbnails are optional; the full photo is shown without them
+    renditionUrls = null;
+  }
+  return { ...entry, status: 'done', blob: null, renditions: {}, publicUrl, renditionUrls };
+}
+
+// The photo columns of the row; mirrors buildPhotoColumns in src/supabase.js, keep the two in step.
+// Every other column (keyword, imagehash, sourceurl...) comes prebuilt in entry.row by buildQuoteRow.
+function buildPhotoColumns(photos) {
+  const imageUrls = photos.map(photo => photo.publicUrl);
+  const renditionColumn = (name) => photos.map(photo => (photo.renditionUrls && photo.renditionUrls[name]) || null);
+  return {
+    image: imageUrls[0],
+    images: imageUrls,
+    imagethumbs: renditionColumn('thumb'),
+    imagemediums: renditionColumn('medium'),
+    imagewidths: renditionColumn('widths')
+  };
+}
+
+async function insertQuoteEntry(entry) {
+  const row = { rowid: entry.rowid, ...entry.row, ...buildPhotoColumns(entry.photos) };
+
+  const response = await fetch(`${entry.endpoints.rest}/uploadpricing2`, {
+    method: 'POST',
+    headers: {
+      ...entry.endpoints.headers,
+      'content-type': 'application/json',
+      prefer: 'return=minimal'
+    },
+    body: JSON.stringify(row)
+  });
+  // 409: the page (or an earlier sync) inserted it already
+  if (!response.ok && response.status !== 409) throw Object.assign(new Error(`Insert failed with status ${response.status}`), { status: response.status });
+  return { ...entry, status: 'done' };
+}
+
+// Same rules as recordFailure in src/utils/uploadQueue.js: back off, or give up on a 4xx retrying can't fix
+function recordFailure(entry, error) {
+  const attempts = (entry.attempts || 0) + 1;
+  const permanent = error.status >= 400 && error.status < 500 && !RETRYABLE_STATUSES.includes(error.status);
+  const failed = attempts >= MAX_ATTEMPTS || permanent;
+  return {
+    ...entry,
+    status: failed ? 'failed' : 'pending',
+    attempts,
+    nextAttemptAt: failed ? null : Date.now() + Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** (attempts - 1)),
+    lastError: error.message
+  };
+}
+
+const isDue = (entry) => !entry.nextAttemptAt || entry.nextAttemptAt <= Date.now();
+
+async function runQueue() {
+  const db = await openDatabase();
+  try {
+    const entries = await runRequest(db, 'readonly', store => store.getAll());
+    const quotes = entries.filter(entry => entry.kind === 'quote' && entry.status === 'pending');
+    const failedPhotos = new Map(entries
+      .filter(entry => entry.kind === 'photo' && entry.status === 'failed')
+      .map(entry => [entry.id, entry]));
+    let waiting = false; // Anything left for a later sync
+
+    // Offline again: reject so the browser retries the sync; otherwise count the attempt
+    const fail = async (entry, error) => {
+      if (!self.navigator.onLine) throw error;
+      const updated = recordFailure(entry, error);
+      await putEntry(db, updated);
+      if (updated.status === 'failed') await notifyClients(updated);
+      else waiting = true;
+      return updated;
+    };
+
+    for (const entry of entries) {
+      if (entry.kind !== 'photo' || entry.status !== 'pending') continue;
+      if (!isDue(entry)) {
+        waiting = true;
+        continue;
+      }
+      let done;
+      try {
+        done = await uploadPhotoEntry(entry);
+      } catch (error) {
+        const updated = await fail(entry, error);
+        if (updated.status === 'failed') failedPhotos.set(updated.id, updated);
+        continue;
+      }
+
+      for (const quote of quotes) {
+        const photo = quote.photos.find(item => item.queueId === done.id);
+        if (!photo) continue;
+        photo.publicUrl = done.publicUrl;
+        photo.renditionUrls = done.renditionUrls;
+        await putEntry(db, quote);
+      }
+      await putEntry(db, done);
+      await notifyClients(done);
+    }
+
+    for (const quote of quotes) {
+      quote.photos.forEach(photo => {
+        const uploaded = !photo.publicUrl && entries.find(entry => entry.id === photo.queueId && entry.publicUrl);
+        if (uploaded) {
+          photo.publicUrl = uploaded.publicUrl;
+          photo.renditionUrls = uploaded.renditionUrls;
+        }
+      });
+
+      const failedPhoto = quote.photos.find(photo => !photo.publicUrl && failedPhotos.has(photo.queueId));
+      if (failedPhoto) {
+        const failed = { ...quote, status: 'failed', lastError: failedPhotos.get(failedPhoto.queueId).lastError };
+        await putEntry(db, failed);
+        await notifyClients(failed);
+        continue;
+      }
+      if (quote.photos.some(photo => !photo.publicUrl) || !isDue(quote)) {
+        waiting = true;
+        continue;
+      }
+
+      let done;
+      try {
+        done = await insertQuoteEntry(quote);
+      } catch (error) {
+        await fail(quote, error);
+        continue;
+      }
+      await putEntry(db, done);
+      await notifyClients(done);
+    }
+
+    // The browser retries a rejected sync later, which picks up entries still backing off
+    if (waiting) throw new Error('Upload queue has entries waiting for a retry');
+  } finally {
+    db.close();
+  }
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== SYNC_TAG) return;
+  // A rejected promise makes the browser retry the sync later
+  event.waitUntil(self.navigator.locks
+    ? self.navigator.locks.request(LOCK_NAME, runQueue)
+    : runQueue());
+});
@@ -0,0 +1,112 @@
+// Checks that the GPS-tagged photos in fixtures/metadata come out of the upload
+// pipeline without their location data. Run with: npm run check:metadata
+//
+// JPEG, PNG and WebP go through stripImageMetadata (the path for photos that are
+// already small enough); the image data must be byte-for-byte unchanged.
+// HEIC can't be stripped, so it must decode to pixels that get re-encoded instead.
+
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { stripImageMetadata, detectImageFormat } from '../src/utils/imageMetadata.js';
+import { isHeicHeader, decodeHeic } from '../src/utils/heicDecoder.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('../fixtures/metadata/', import.meta.url));
+
+// Byte strings that only appear in the metadata written into the fixtures
+const METADATA_MARKERS = [
+  'Exif',
+  'eXIf',
+  'EXIF',
+  'XMP ',
+  'ns.adobe.com',
+  'Photoshop 3.0',
+  'Cake Genie Fixtures', // EXIF Make
+  '14,35.752N', // XMP GPSLatitude
+  'Manila', // XMP/IPTC city
+  'Taken at', // JPEG COM / PNG tEXt
+  'tIME'
+];
+
+const failures = [];
+
+const findMarkers = (bytes) => {
+  const text = Buffer.from(bytes).toString('latin1');
+  return METADATA_MARKERS.filter(marker => text.includes(marker));
+};
+
+const check = (name, condition, message) => {
+  if (!condition) failures.push(`${name}: ${message}`);
+};
+
+// The bytes that carry the picture itself, per format
+function imageData(bytes, format) {
+  const buffer = Buffer.from(bytes);
+
+  if (format === 'jpeg') {
+    // Start of scan to the end of the file
+    return buffer.subarray(buffer.indexOf(Buffer.from([0xFF, 0xDA])));
+  }
+
+  const chunks = [];
+  let offset = format === 'png' ? 8 : 12;
+  while (offset + 8 <= buffer.length) {
+    if (format === 'png') {
+      const length = buffer.readUInt32BE(offset);
+      if (['IHDR', 'PLTE', 'IDAT'].includes(buffer.toString('latin1', offset + 4, offset + 8))) {
+        chunks.push(buffer.subarray(offset, offset + 12 + length));
+      }
+      offset += 12 + length;
+    } else {
+      const size = buffer.readUInt32LE(offset + 4);
+      if (['VP8 ', 'VP8L', 'ALPH', 'ANIM', 'ANMF'].includes(buffer.toString('latin1', offset, offset + 4))) {
+        chunks.push(buffer.subarray(offset, offset + 8 + size));
+      }
+      offset += 8 + size + (size % 2);
+    }
+  }
+  return Buffer.concat(chunks);
+}
+
+async function checkStrippable(name, format) {
+  const original = readFileSync(FIXTURES_DIR + name);
+  check(name, detectImageFormat(original) === format, `expected a ${format} file`);
+  check(name, findMarkers(original).length > 0, 'fixture carries no metadata to strip');
+
+  const stripped = await stripImageMetadata(new Blob([original]));
+  if (!stripped) {
+    failures.push(`${name}: stripImageMetadata returned null`);
+    return;
+  }
+
+  const output = new Uint8Array(await stripped.blob.arrayBuffer());
+  const leftover = findMarkers(output);
+  check(name, leftover.length === 0, `metadata left after stripping: ${leftover.join(', ')}`);
+  check(name, imageData(output, format).equals(imageData(original, format)), 'image data changed');
+  check(name, stripped.format === format, `stripped as ${stripped.format}`);
+  console.log(`${name}: ${original.length} -> ${output.length} bytes`);
+}
+
+async function checkHeic(name) {
+  const original = readFileSync(FIXTURES_DIR + name);
+  check(name, isHeicHeader(new Uint8Array(original)), 'expected a HEIC file');
+  check(name, findMarkers(original).length > 0, 'fixture carries no metadata to strip');
+
+  // Never stripped in place: compressAndOptimizeImage refuses the file unless it re-encodes the pixels
+  check(name, await stripImageMetadata(new Blob([original])) === null, 'HEIC should not be stripped in place');
+
+  const { width, height, data } = await decodeHeic(original.buffer.slice(original.byteOffset, original.byteOffset + original.length));
+  check(name, width === 160 && height === 120, `decoded as ${width}x${height}`);
+  check(name, data.length === width * height * 4, 'decoded pixel buffer has the wrong size');
+  console.log(`${name}: decodes to ${width}x${height} pixels for re-encoding`);
+}
+
+await checkStrippable('gps.jpg', 'jpeg');
+await checkStrippable('gps.png', 'png');
+await checkStrippable('gps.webp', 'webp');
+await checkHeic('gps.heic');
+
+if (failures.length > 0) {
+  console.error('\nMetadata check failed:\n' + failures.map(failure => `  - ${failure}`).join('\n'));
+  process.exit(1);
+}
+console.log('\nAll fixtures come out without metadata.');
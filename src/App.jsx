@@ -1,7 +1,42 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { uploadImageToSupabase, saveImageToDatabase, fetchPricingData } from './supabase.js';
-import { compressAndOptimizeImage, formatFileSize } from './utils/imageCompression.js';
+import React, { useState, useEffect, useRef } from 'react';
+import { uploadImageToSupabase, uploadImageRenditions, saveImageToDatabase, createRowId, fetchPricingData, fetchPricedDesign, deleteQuoteRow, removeStoredImages, updateQuoteImages, updateQuoteMessage } from './supabase.js';
+import { compressAndOptimizeImage, describeCompressionStep, formatFileSize } from './utils/imageCompression.js';
+import { isHeicFile, readHeicSize } from './utils/heicDecoder.js';
 import { ProcessingIndicator } from './components/ProgressBar.jsx';
+import { SizePriceMatrix } from './components/SizePriceMatrix.jsx';
+import { ImageStrip } from './components/ImageStrip.jsx';
+import { QuoteFeedback } from './components/QuoteFeedback.jsx';
+import { CakeMessageForm, EMPTY_CAKE_MESSAGE } from './components/CakeMessageForm.jsx';
+import { ScheduleForm, EMPTY_SCHEDULE } from './components/ScheduleForm.jsx';
+import { ImageEditor } from './components/ImageEditor.jsx';
+import { PhotoQualityDialog } from './components/PhotoQualityDialog.jsx';
+import { SearchResultsGrid } from './components/SearchResultsGrid.jsx';
+import { SearchAutocomplete } from './components/SearchAutocomplete.jsx';
+import { SearchFilterChips } from './components/SearchFilterChips.jsx';
+import { getDefaultHeight, resolvePreselection, computeSizeTotal } from './utils/cakeOptions.js';
+import { watchQuote } from './utils/quoteWatcher.js';
+import { parseLocation, buildQuotePath, buildSearchPath, getQuoteShareUrl, navigateTo } from './utils/urlState.js';
+import { saveSession, loadSession, clearSession } from './utils/sessionPersistence.js';
+import { buildCartLineItem, buildCartAttributes, addQuoteToCart } from './utils/cart.js';
+import { loadPricePoints, resolveVariant, reportInexactTotal, STATIC_PRICE_POINTS } from './utils/variantResolver.js';
+import { findPreviousQuote, DUPLICATE_CONFIG } from './utils/duplicateMatch.js';
+import { getRenditionColumns, renditionUrlsFromRow, getSrcSet } from './utils/imageRenditions.js';
+import { analyzePhotoQuality, PHOTO_QUALITY_CONFIG } from './utils/photoQuality.js';
+import { searchImages } from './utils/imageSearch.js';
+import { ingestRemoteImage, INGEST_CONFIG } from './utils/imageIngest.js';
+import { normalizeFilterIds, toggleFilter } from './utils/searchFilters.js';
+import { getSearchHistory, addToSearchHistory, clearSearchHistory, loadPopularQueries, getSuggestions } from './utils/searchSuggestions.js';
+import {
+  isUploadQueueAvailable,
+  enqueuePhoto,
+  enqueueQuote,
+  getQueueEntry,
+  removeQueueEntry,
+  processUploadQueue,
+  startUploadQueue,
+  subscribeToUploadQueue
+} from './utils/uploadQueue.js';
+import { loadSchedulingRules, validateSchedule, DEFAULT_SCHEDULING_RULES } from './utils/scheduling.js';
 
 // --- Helper Functions ---
 
@@ -20,6 +55,86 @@ function dataUrlToBlob(dataUrl) {
   return new Blob([u8arr], { type: mime });
 }
 
+// 2. Maps a priced uploadpricing2 row to the price result shown in the UI
+function rowToPriceResult(data, supabaseUrl) {
+  return {
+    priceAddon: `+₱${data.priceaddon}`,
+    addonPrice: Number(data.priceaddon),
+    cakeDesignDetails: data.infoaddon || 'Design analyzed',
+    cakeType: data.type || 'Custom',
+    height: data.thickness || 'Standard',
+    keyword: (data.keyword || '').trim(),
+    showBento: data.type === 'Bento',
+    rowId: data.rowid,
+    supabaseUrl,
+    hasRealData: true
+  };
+}
+
+// 3. Reads a Blob as a Data URL for local previews
+function readAsDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = e => resolve(e.target.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// 4. The uploadpricing2 row shared by all photos of a quote, if created yet
+function getQuoteRecord(gallery) {
+  const withRecord = gallery.find(item => item.dbRecord);
+  return withRecord ? withRecord.dbRecord : null;
+}
+
+// 5. Applies queued uploads that finished while the page was closed to a saved session
+async function applyFinishedUploads(snapshot) {
+  if (!snapshot || !isUploadQueueAvailable()) return snapshot;
+
+  try {
+    const gallery = await Promise.all(snapshot.gallery.map(async item => {
+      const entry = item.queueId ? await getQueueEntry(item.queueId) : null;
+      if (!entry || entry.status === 'pending') return item;
+      removeQueueEntry(entry.id).catch(() => {});
+      // Gave up: the photo stays local and uploads directly when the quote is priced again
+      if (entry.status === 'failed') return { ...item, queueId: null, uploadFailed: true };
+      return { ...item, queueId: null, publicUrl: entry.publicUrl, renditionUrls: entry.renditionUrls };
+    }));
+
+    const pending = snapshot.priceResult;
+    const quote = pending && pending.queued ? await getQueueEntry(`quote-${pending.rowId}`) : null;
+    if (quote && quote.status === 'failed') {
+      removeQueueEntry(quote.id).catch(() => {});
+      return { ...snapshot, gallery, priceResult: null };
+    }
+    if (!quote || quote.status !== 'done') return { ...snapshot, gallery };
+
+    // The row exists now; restoring picks up the pricing wait like any other pending quote
+    removeQueueEntry(quote.id).catch(() => {});
+    const imageUrls = quote.photos.map(photo => photo.publicUrl);
+    const dbRecord = { rowid: quote.rowid, id: quote.rowid, image: imageUrls[0], images: imageUrls };
+    return {
+      ...snapshot,
+      gallery: gallery.map((item, index) => ({
+        ...item,
+        queueId: null,
+        publicUrl: item.publicUrl || imageUrls[index],
+        renditionUrls: item.renditionUrls || quote.photos[index].renditionUrls,
+        dbRecord
+      })),
+      priceResult: { ...pending, queued: false, supabaseUrl: imageUrls[0], imageUrls }
+    };
+  } catch (error) {
+    console.warn('Could not check queued uploads:', error);
+    return snapshot;
+  }
+}
+
+// Reference photos allowed per quote
+const MAX_GALLERY_IMAGES = 5;
+// Smallest photo (and crop) accepted, in pixels per side
+const MIN_DIMENSION = 200;
+
 // --- Main App Component ---
 
 export default function App() {
@@ -28,8 +143,12 @@ export default function App() {
   const [searchQuery, setSearchQuery] = useState(''); // This will store the actual search term to execute
   const [searchInput, setSearchInput] = useState(''); // This will store what user types
   const [showResults, setShowResults] = useState(false);
-  const [isCSELoaded, setIsCSELoaded] = useState(false);
   const [isSearching, setIsSearching] = useState(false);
+  const [searchResults, setSearchResults] = useState([]); // Current page, from searchImages
+  const [searchError, setSearchError] = useState(null);
+  const [searchFilters, setSearchFilters] = useState([]); // Active filter ids (searchFilters.js)
+  const [searchHistory, setSearchHistory] = useState(getSearchHistory); // Recent queries, newest first
+  const [popularQueries, setPopularQueries] = useState([]);
   
   // Navigation state for back functionality
   const [previousSearchState, setPreviousSearchState] = useState(null); // Store search state when navigating away
@@ -38,6 +157,7 @@ export default function App() {
   // Pagination state
   const [currentPage, setCurrentPage] = useState(1);
   const [totalResults, setTotalResults] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
 
   // Image Handling & Gallery State
   const [gallery, setGallery] = useState([]); // {id, dataUrl, file}
@@ -48,9 +168,17 @@ export default function App() {
   const [processingState, setProcessingState] = useState('idle'); // idle, uploading, processing, complete, error
   const [processingMessage, setProcessingMessage] = useState('');
   const [compressionInfo, setCompressionInfo] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(0); // 0-100, real bytes sent
   
   // Pricing state (simplified)
   const [priceResult, setPriceResult] = useState(null);
+  const [selectedCakeType, setSelectedCakeType] = useState('');
+  const [selectedHeight, setSelectedHeight] = useState('');
+  const [cartStatus, setCartStatus] = useState({ state: 'idle', size: null, message: '' }); // idle, adding, error
+  const [pricePoints, setPricePoints] = useState(STATIC_PRICE_POINTS);
+  const [cakeMessage, setCakeMessage] = useState(EMPTY_CAKE_MESSAGE);
+  const [schedule, setSchedule] = useState(EMPTY_SCHEDULE);
+  const [schedulingRules, setSchedulingRules] = useState(DEFAULT_SCHEDULING_RULES);
 
   // Mobile-specific state
   const [isKeyboardOpen, setIsKeyboardOpen] = useState(false);
@@ -60,9 +188,17 @@ export default function App() {
   const searchAbortController = useRef(null);
   const uploadAbortController = useRef(null);
   const isProcessingUpload = useRef(false);
-
-  // --- Constants & Config ---
-  const SEARCH_ENGINE_ID = '825ca1503c1bd4d00';
+  const queueEntryHandlerRef = useRef(() => {});
+  const latestGallery = useRef([]); // The gallery of the last render, for handlers that await in between
+  const [editorRequest, setEditorRequest] = useState(null); // { file, label, resolve } while the crop editor is open
+  const [qualityRequest, setQualityRequest] = useState(null); // { warnings, label, resolve } while quality warnings are shown
+  const quoteWatcher = useRef(null);
+  const quoteSession = useRef(0); // Bumped whenever the user abandons a quote
+  const editedMessageRowId = useRef(null); // Quote whose cake message the user has typed into
+  const applyRouteRef = useRef(null);
+  const restoreSnapshotRef = useRef(null);
+  const hasRestoredSession = useRef(false); // Don't overwrite the saved session before it's been read
+  const [shareStatus, setShareStatus] = useState('');
 
   // --- Mobile Keyboard Detection ---
   useEffect(() => {
@@ -80,16 +216,32 @@ export default function App() {
   }, []);
 
   // --- Image Validation & Upload ---
-  const validateFile = (file) => {
+  const validateFile = async (file) => {
     const MAX_SIZE_MB = 10;
-    const MIN_DIMENSION = 200;
+    const dimensionError = (width, height) => (width < MIN_DIMENSION || height < MIN_DIMENSION)
+        ? `Image is too small. Minimum dimensions are ${MIN_DIMENSION}x${MIN_DIMENSION}px.`
+        : null;
     
-    if (!file.type.startsWith('image/')) {
+    // iPhone photos can arrive without an image/* type
+    const isHeic = await isHeicFile(file);
+    if (!file.type.startsWith('image/') && !isHeic) {
         return `Invalid file type. Please upload an image.`;
     }
     if (file.size > MAX_SIZE_MB * 1024 * 1024) {
         return `File is too large. Maximum size is ${MAX_SIZE_MB}MB.`;
     }
+    
+    // Most browsers can't load HEIC into an <img>; read the size with the bundled decoder
+    if (isHeic) {
+        try {
+            const { width, height } = await readHeicSize(await file.arrayBuffer());
+            return dimensionError(width, height);
+        } catch (heicError) {
+            console.error('Could not read HEIC photo:', heicError);
+            return 'Could not read this HEIC photo. Please try a JPEG or PNG.';
+        }
+    }
+    
     return new Promise((resolve) => {
         const reader = new FileReader();
         reader.readAsDataURL(file);
@@ -97,11 +249,7 @@ export default function App() {
             const image = new Image();
             image.src = e.target.result;
             image.onload = () => {
-                if (image.width < MIN_DIMENSION || image.height < MIN_DIMENSION) {
-                    resolve(`Image is too small. Minimum dimensions are ${MIN_DIMENSION}x${MIN_DIMENSION}px.`);
-                } else {
-                    resolve(null); // No error
-                }
+                resolve(dimensionError(image.width, image.height)); // null means no error
             };
             image.onerror = () => resolve('Could not read image dimensions.');
         };
@@ -109,21 +257,32 @@ export default function App() {
     });
   };
 
-  const uploadToSupabase = async (file) => {
+  // Uploads one photo to Supabase Storage (the quote row is created when pricing starts)
+  // options: { signal, onProgress, onPause, onResume } for the resumable upload,
+  // plus renditions (from compression) to upload next to it
+  const uploadToSupabase = async (file, { renditions = null, ...options } = {}) => {
     try {
       setError(null);
       console.log('Uploading image to Supabase...');
       
-      // Upload image to Supabase Storage
-      const { filePath, publicUrl } = await uploadImageToSupabase(file);
+      const { filePath, publicUrl } = await uploadImageToSupabase(file, options);
       console.log('Image uploaded successfully:', publicUrl);
       
-      // Save to database
-      const dbRecord = await saveImageToDatabase(publicUrl, file.name);
-      console.log('Image data saved to database:', dbRecord);
+      // Thumbnails are optional; without them the full photo is shown
+      let renditionUrls = null;
+      if (renditions && Object.keys(renditions).length > 0) {
+        try {
+          renditionUrls = await uploadImageRenditions(filePath, renditions);
+        } catch (renditionError) {
+          console.warn('Could not upload thumbnails:', renditionError);
+        }
+      }
       
-      return { publicUrl, dbRecord };
+      return { filePath, publicUrl, renditionUrls };
     } catch (error) {
+      // Cancelled by the user; nothing to report
+      if (error.name === 'AbortError') throw error;
+      
       console.error('Failed to upload to Supabase:', error);
       
       // Enhanced error handling with specific error types
@@ -144,7 +303,74 @@ export default function App() {
     }
   };
 
+  // Uploads a compressed photo, or hands it to the offline queue when there's no connection.
+  // Resolves with { publicUrl, renditionUrls } or { queueId }; without a queue it behaves like uploadToSupabase.
+  const uploadOrQueue = async (blob, renditions, { signal = null, onPause = () => {}, ...options } = {}) => {
+    const canQueue = isUploadQueueAvailable();
+    const queuePhoto = async () => {
+      const entry = await enqueuePhoto(blob, renditions);
+      setError(null);
+      console.log('📥 Photo queued until the connection is back:', entry.id);
+      return { queueId: entry.id };
+    };
+    if (canQueue && !navigator.onLine) return queuePhoto();
+
+    // A dropped connection hands the photo to the queue instead of pausing here,
+    // so it still goes up if the tab is closed
+    const attempt = new AbortController();
+    const forwardAbort = () => attempt.abort();
+    if (signal) signal.addEventListener('abort', forwardAbort, { once: true });
+    try {
+      const { publicUrl, renditionUrls } = await uploadToSupabase(blob, {
+        ...options,
+        renditions,
+        signal: attempt.signal,
+        onPause: canQueue ? () => attempt.abort() : onPause
+      });
+      return { publicUrl, renditionUrls };
+    } catch (uploadError) {
+      // Retrying can't fix a missing configuration
+      if (!canQueue || (signal && signal.aborted) || uploadError.message.includes('not configured')) throw uploadError;
+      return queuePhoto();
+    } finally {
+      if (signal) signal.removeEventListener('abort', forwardAbort);
+    }
+  };
+
+  // Keeps an existing quote row's photo list in step with the gallery
+  const syncQuoteImages = async (items) => {
+    const record = getQuoteRecord(items);
+    const imageUrls = items.map(item => item.publicUrl).filter(Boolean);
+    if (!record || priceResult || imageUrls.length === 0) return;
+
+    try {
+      await updateQuoteImages(record.rowid, imageUrls, getRenditionColumns(items));
+    } catch (err) {
+      console.warn('Could not update quote photos:', err);
+    }
+  };
+
   // --- Handlers ---
+  // Opens the crop editor and resolves with the edited file, or null when the photo is skipped
+  const requestEdit = (file, label) => new Promise((resolve) => {
+    setEditorRequest({ file, label, resolve });
+  });
+
+  const closeEditor = (result) => {
+    if (editorRequest) editorRequest.resolve(result);
+    setEditorRequest(null);
+  };
+
+  // Shows quality warnings and resolves with true when the photo is kept anyway
+  const requestQualityDecision = (warnings, label) => new Promise((resolve) => {
+    setQualityRequest({ warnings, label, resolve });
+  });
+
+  const closeQualityDialog = (keep) => {
+    if (qualityRequest) qualityRequest.resolve(keep);
+    setQualityRequest(null);
+  };
+
   const processFiles = async (files) => {
     // Prevent concurrent uploads
     if (isProcessingUpload.current) {
@@ -152,6 +378,17 @@ export default function App() {
       return;
     }
     
+    const remainingSlots = MAX_GALLERY_IMAGES - gallery.length;
+    if (remainingSlots <= 0) {
+      setError(`You can add up to ${MAX_GALLERY_IMAGES} photos per quote.`);
+      return;
+    }
+    
+    const selectedFiles = files.slice(0, remainingSlots);
+    if (selectedFiles.length === 0) {
+      return;
+    }
+    
     isProcessingUpload.current = true;
     
     // Cancel any previous upload
@@ -159,270 +396,653 @@ export default function App() {
       uploadAbortController.current.abort();
     }
     uploadAbortController.current = new AbortController();
+    const signal = uploadAbortController.current.signal;
     
     setError(null); // Clear previous errors
     setCompressionInfo(null);
     
-    // Limit to only one image
-    const file = files[0];
-    if (!file) {
-      isProcessingUpload.current = false;
-      return;
-    }
-    
-    const validationError = await validateFile(file);
-    if (validationError) {
-        setError(validationError);
-        isProcessingUpload.current = false;
-        return;
-    }
+    const newImages = [];
+    const problems = [];
+    let uploadFailed = false;
+    let uploadQueued = false;
     
     try {
-        // Check if operation was cancelled
-        if (uploadAbortController.current.signal.aborted) {
-          isProcessingUpload.current = false;
-          return;
+        for (let i = 0; i < selectedFiles.length; i++) {
+            const file = selectedFiles[i];
+            const label = selectedFiles.length > 1 ? ` (${i + 1}/${selectedFiles.length})` : '';
+            
+            const validationError = await validateFile(file);
+            if (validationError) {
+                problems.push(selectedFiles.length > 1 ? `${file.name}: ${validationError}` : validationError);
+                continue;
+            }
+            
+            // Check if operation was cancelled
+            if (signal.aborted) return;
+            
+            // Step 1: Crop/rotate; only the edited result is uploaded
+            setProcessingState('uploading');
+            setProcessingMessage(`Editing photo${label}...`);
+            const editedFile = await requestEdit(file, label);
+            if (signal.aborted) return;
+            if (!editedFile) continue;
+            
+            // Step 2: Warn about blurry, dark or screenshot photos; the customer has the final say
+            if (PHOTO_QUALITY_CONFIG.ENABLED) {
+                setProcessingMessage(`Checking photo quality${label}...`);
+                const quality = await analyzePhotoQuality(editedFile);
+                if (signal.aborted) return;
+                if (quality && quality.warnings.length > 0) {
+                    console.log('📷 Photo quality warnings:', quality.warnings.map(warning => warning.code), quality.metrics);
+                    const keep = await requestQualityDecision(quality.warnings, label);
+                    if (signal.aborted) return;
+                    if (!keep) continue;
+                }
+            }
+            
+            // Step 3: Compress image
+            setProcessingMessage(`Optimizing image${label}...`);
+            
+            let compressionResult;
+            try {
+                compressionResult = await compressAndOptimizeImage(editedFile, {
+                    onProgress: (progress) => {
+                        if (!signal.aborted) setProcessingMessage(`Optimizing image${label}: ${describeCompressionStep(progress)}...`);
+                    }
+                });
+            } catch (compressionError) {
+                // Photos whose metadata can't be removed are never uploaded
+                console.error('Compression failed, skipping photo:', compressionError);
+                problems.push(selectedFiles.length > 1 ? `${file.name}: ${compressionError.message}` : compressionError.message);
+                continue;
+            }
+            
+            // Check if operation was cancelled after compression
+            if (signal.aborted) return;
+            
+            setCompressionInfo({
+                originalSize: compressionResult.originalSize || editedFile.size,
+                compressedSize: compressionResult.blob.size,
+                ratio: compressionResult.compressionRatio || 1,
+                dimensions: compressionResult.dimensions
+            });
+            
+            console.log('Image compression complete:', {
+                originalSize: formatFileSize(compressionResult.originalSize || editedFile.size),
+                compressedSize: formatFileSize(compressionResult.blob.size),
+                ratio: `${(compressionResult.compressionRatio || 1).toFixed(1)}x`,
+                profile: compressionResult.profile
+            });
+            
+            // Step 4: Local preview for UI
+            const dataUrl = await readAsDataUrl(compressionResult.blob);
+            const newImage = { 
+                id: Date.now() + Math.random(), 
+                dataUrl, 
+                file: compressionResult.blob, // Use compressed version
+                originalFile: file, // Keep reference to original
+                compressionInfo: compressionResult,
+                imageHash: compressionResult.perceptualHash || null
+            };
+            
+            // Step 5: Upload to Supabase
+            const uploadMessage = `Uploading to cloud storage${label}...`;
+            setProcessingMessage(uploadMessage);
+            try {
+                const uploaded = await uploadOrQueue(compressionResult.blob, compressionResult.renditions, {
+                    signal,
+                    // Overall progress across the selected files
+                    onProgress: (sent, total) => setUploadProgress(((i + sent / total) / selectedFiles.length) * 100),
+                    onPause: () => setProcessingMessage(`No connection. Upload paused${label}, it will continue when you're back online...`),
+                    onResume: () => setProcessingMessage(uploadMessage)
+                });
+                if (uploaded.queueId) {
+                    newImage.queueId = uploaded.queueId; // Uploaded by the queue once back online
+                    uploadQueued = true;
+                } else {
+                    newImage.publicUrl = uploaded.publicUrl; // Store the Supabase URL
+                    newImage.renditionUrls = uploaded.renditionUrls;
+                }
+            } catch (uploadError) {
+                // Keep the local preview; the upload is retried when pricing starts
+                console.error('Upload failed, keeping local preview:', uploadError);
+                uploadFailed = true;
+            }
+            
+            // Check if operation was cancelled after upload
+            if (signal.aborted) return;
+            newImages.push(newImage);
         }
         
-        // Step 1: Compress image
-        setProcessingState('uploading');
-        setProcessingMessage('Optimizing image...');
-        
-        const compressionResult = await compressAndOptimizeImage(file);
-        
-        // Check if operation was cancelled after compression
-        if (uploadAbortController.current.signal.aborted) {
-          isProcessingUpload.current = false;
-          return;
+        if (files.length > remainingSlots) {
+            problems.push(`Only ${MAX_GALLERY_IMAGES} photos can be added per quote; the rest were skipped.`);
         }
         
-        setCompressionInfo({
-            originalSize: compressionResult.originalSize || file.size,
-            compressedSize: compressionResult.blob.size,
-            ratio: compressionResult.compressionRatio || 1,
-            dimensions: compressionResult.dimensions
-        });
-        
-        console.log('Image compression complete:', {
-            originalSize: formatFileSize(compressionResult.originalSize || file.size),
-            compressedSize: formatFileSize(compressionResult.blob.size),
-            ratio: `${(compressionResult.compressionRatio || 1).toFixed(1)}x`
-        });
-        
-        // Step 2: Upload to Supabase
-        setProcessingMessage('Uploading to cloud storage...');
-        const { publicUrl, dbRecord } = await uploadToSupabase(compressionResult.blob);
-        
-        // Check if operation was cancelled after upload
-        if (uploadAbortController.current.signal.aborted) {
-          isProcessingUpload.current = false;
-          return;
+        if (newImages.length > 0) {
+            // New photos join the quote row if one already exists. The gallery may have changed while
+            // we waited on the editor and uploads (queued photos finishing), so build on the latest one
+            const addTo = (items) => {
+                const record = getQuoteRecord(items);
+                return [...items, ...(record ? newImages.map(image => ({ ...image, dbRecord: record })) : newImages)];
+            };
+            const current = latestGallery.current;
+            
+            setGallery(prev => addTo(prev));
+            setSelectedImageIndex(current.length);
+            setIsUploadOpen(false);
+            syncQuoteImages(addTo(current));
+            console.log('Images processed successfully:', newImages);
         }
         
-        // Step 3: Create local preview for UI
-        setProcessingMessage('Finalizing...');
-        const reader = new FileReader();
-        reader.readAsDataURL(compressionResult.blob);
-        const dataUrl = await new Promise(resolve => reader.onload = e => resolve(e.target.result));
-        
-        const newImage = { 
-            id: dbRecord.id || Date.now() + Math.random(), 
-            dataUrl, 
-            file: compressionResult.blob, // Use compressed version
-            originalFile: file, // Keep reference to original
-            publicUrl, // Store the Supabase URL
-            dbRecord,   // Store the database record
-            compressionInfo: compressionResult
-        };
-        
-        // Replace gallery with single image
-        setGallery([newImage]);
-        setSelectedImageIndex(0);
-        setIsUploadOpen(false);
-        
-        // Upload complete - set state to idle
-        setProcessingState('idle');
-        setProcessingMessage('');
+        if (problems.length > 0) {
+            setError(problems.join(' '));
+        }
         
-        console.log('Image processed successfully:', newImage);
+        if (uploadFailed) {
+            setProcessingState('error');
+            setProcessingMessage('Upload failed. Please try again.');
+            
+            // Clear error state after 5 seconds
+            setTimeout(() => {
+                setProcessingState('idle');
+                setProcessingMessage('');
+            }, 5000);
+        } else if (uploadQueued) {
+            setProcessingState('queued');
+            setProcessingMessage("You're offline. Photos are saved and will upload when you're back online.");
+        } else {
+            // Upload complete - set state to idle
+            setProcessingState('idle');
+            setProcessingMessage('');
+        }
         
-    } catch (uploadError) {
-        console.error('Upload process failed:', uploadError);
-        if (!uploadAbortController.current.signal.aborted) {
-          setProcessingState('error');
-          setProcessingMessage('Upload failed. Please try again.');
-          
-          // Still create local preview if upload fails
-          try {
-              const reader = new FileReader();
-              reader.readAsDataURL(file);
-              const dataUrl = await new Promise(resolve => reader.onload = e => resolve(e.target.result));
-              const newImage = { id: Date.now() + Math.random(), dataUrl, file };
-              
-              setGallery([newImage]);
-              setSelectedImageIndex(0);
-              setIsUploadOpen(false);
-          } catch (previewError) {
-              console.error('Failed to create preview:', previewError);
-              setError('Failed to process image. Please try again.');
-          }
-          
-          // Clear error state after 5 seconds
-          setTimeout(() => {
-              setProcessingState('idle');
-              setProcessingMessage('');
-          }, 5000);
+    } catch (processError) {
+        console.error('Image processing failed:', processError);
+        if (!signal.aborted) {
+          setProcessingState('idle');
+          setProcessingMessage('');
+          setError('Failed to process image. Please try again.');
         }
     } finally {
         isProcessingUpload.current = false;
-        uploadAbortController.current = null;
+        setUploadProgress(0);
+        // A newer upload may own the controller by now
+        if (uploadAbortController.current && uploadAbortController.current.signal === signal) {
+            uploadAbortController.current = null;
+        }
+    }
+  };
+
+  const handleCancelUpload = () => {
+    if (uploadAbortController.current) {
+      uploadAbortController.current.abort();
+      uploadAbortController.current = null;
     }
+    closeEditor(null);
+    closeQualityDialog(false);
+    console.log('🛑 Upload cancelled');
+    setProcessingState('idle');
+    setProcessingMessage('');
+    setUploadProgress(0);
+    setCompressionInfo(null);
   };
 
-  const handleFileChange = (e) => processFiles(Array.from(e.target.files));
+  const handleFileChange = (e) => {
+    processFiles(Array.from(e.target.files));
+    e.target.value = ''; // Allow picking the same photo again
+  };
+  // HEIC from Windows/Android browsers often has no type, only the extension
+  const isImageLike = (file) => file.type.startsWith('image/') || /\.(heic|heif)$/i.test(file.name || '');
   const handleDrop = (e) => {
     e.preventDefault();
-    const files = Array.from(e.dataTransfer.files);
-    if (files.length > 0) processFiles([files[0]]); // Only process first image
+    const files = Array.from(e.dataTransfer.files).filter(isImageLike);
+    if (files.length > 0) processFiles(files);
   };
   const handlePaste = (e) => {
-     const files = Array.from(e.clipboardData.files).filter(file => file.type.startsWith('image/'));
-     if (files.length > 0) processFiles([files[0]]); // Only process first image
+     const files = Array.from(e.clipboardData.files).filter(isImageLike);
+     if (files.length > 0) processFiles(files);
+  };
+
+  // --- Gallery Editing ---
+  const handleMoveImage = (from, to) => {
+    if (to < 0 || to >= gallery.length) return;
+    const nextGallery = [...gallery];
+    const [moved] = nextGallery.splice(from, 1);
+    nextGallery.splice(to, 0, moved);
+    setGallery(nextGallery);
+    if (selectedImageIndex === from) setSelectedImageIndex(to);
+    else if (selectedImageIndex === to) setSelectedImageIndex(from);
+    syncQuoteImages(nextGallery);
+  };
+
+  const handleRemoveImage = (index) => {
+    if (gallery.length === 1) {
+      handleStartOver();
+      return;
+    }
+    // A photo still waiting in the upload queue must not be uploaded after all
+    const removed = gallery[index];
+    if (removed && removed.queueId) removeQueueEntry(removed.queueId).catch(() => {});
+    const nextGallery = gallery.filter((_, i) => i !== index);
+    setGallery(nextGallery);
+    setSelectedImageIndex(Math.min(
+      selectedImageIndex > index ? selectedImageIndex - 1 : selectedImageIndex,
+      nextGallery.length - 1
+    ));
+    syncQuoteImages(nextGallery);
   };
   const handleDragOver = (e) => e.preventDefault();
   
-  // --- Fixed Pricing Logic with Real Polling ---
+  // --- Quote Selection ---
+  // Shows a priced row and preselects cake type/height from the AI result
+  // extra overrides fields of the result (e.g. the matched-quote marker)
+  const applyPricingRow = (data, supabaseUrl, extra = {}) => {
+    const result = { ...rowToPriceResult(data, supabaseUrl), ...extra };
+    const { cakeType, height } = resolvePreselection(data.type, data.thickness, result.showBento);
+    setPriceResult(result);
+    setSelectedCakeType(cakeType);
+    setSelectedHeight(height);
+  };
+
+  const handleCakeTypeChange = (cakeType) => {
+    setSelectedCakeType(cakeType);
+    setSelectedHeight(getDefaultHeight(cakeType));
+  };
+
+  // --- Cart Handoff ---
+  const handleAddToCart = async ({ size, variantId }) => {
+    if (!priceResult || cartStatus.state === 'adding') return;
+
+    // Lead time, blackout dates and store hours are checked again here; the date may have gone stale
+    const scheduleError = validateSchedule(schedule, selectedCakeType, schedulingRules);
+    if (scheduleError) {
+      setCartStatus({ state: 'error', size, message: scheduleError });
+      const scheduleForm = document.getElementById('schedule-form');
+      if (scheduleForm) scheduleForm.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      return;
+    }
+
+    setCartStatus({ state: 'adding', size, message: '' });
+    try {
+      const lineItem = buildCartLineItem({
+        variantId,
+        imageUrl: priceResult.supabaseUrl,
+        referenceImageUrls: gallery.map(item => item.publicUrl).filter(Boolean),
+        cakeType: selectedCakeType,
+        height: selectedHeight,
+        size,
+        details: priceResult.cakeDesignDetails,
+        message: cakeMessage.message.trim(),
+        candleNumber: cakeMessage.candleNumber.trim(),
+        celebrantName: cakeMessage.name.trim()
+      });
+      const { redirectUrl } = await addQuoteToCart(lineItem, buildCartAttributes(schedule));
+      window.location.href = redirectUrl;
+    } catch (err) {
+      setCartStatus({ state: 'error', size, message: err.message });
+    }
+  };
+
+  // Price points for variant resolution; the built-in map covers us until they load
+  useEffect(() => {
+    let isActive = true;
+    loadPricePoints().then(points => {
+      if (isActive) setPricePoints(points);
+    });
+    return () => { isActive = false; };
+  }, []);
+
+  // Retry queued uploads when back online; results land through handleQueueEntryDone
+  useEffect(() => {
+    const stopQueue = startUploadQueue();
+    const unsubscribe = subscribeToUploadQueue(entry => queueEntryHandlerRef.current(entry));
+    return () => {
+      unsubscribe();
+      stopQueue();
+    };
+  }, []);
+
+  // Popular design keywords for the search suggestions
+  useEffect(() => {
+    let isActive = true;
+    loadPopularQueries().then(queries => {
+      if (isActive) setPopularQueries(queries);
+    });
+    return () => { isActive = false; };
+  }, []);
+
+  // Branches, lead times and blackout dates; the built-in rules cover us until they load
+  useEffect(() => {
+    let isActive = true;
+    loadSchedulingRules().then(rules => {
+      if (isActive) setSchedulingRules(rules);
+    });
+    return () => { isActive = false; };
+  }, []);
+
+  // Report totals the store has no exact variant for, so the shop team can add them
+  const handleSizesLoaded = (rows, { cakeType, height }) => {
+    if (!priceResult) return;
+    rows.forEach(row => {
+      const total = computeSizeTotal(row.price, priceResult.addonPrice);
+      const resolution = resolveVariant(total, pricePoints);
+      if (!resolution || !resolution.exact) {
+        reportInexactTotal(total, resolution, { cakeType, height, size: row.cakesize, rowid: priceResult.rowId });
+      }
+    });
+  };
+
+  const renderCartAction = ({ size, total }) => {
+    const resolution = resolveVariant(total, pricePoints);
+    if (!resolution) {
+      return <span className="text-xs text-gray-400">No variant for ₱{total}</span>;
+    }
+
+    const isAdding = cartStatus.state === 'adding' && cartStatus.size === size;
+    return (
+      <>
+        {!resolution.exact && (
+          <span className="text-xs text-gray-500">₱{resolution.price} at checkout</span>
+        )}
+        <button
+          onClick={() => handleAddToCart({ size, variantId: resolution.variantId })}
+          disabled={cartStatus.state === 'adding'}
+          className="bg-gradient-to-r from-pink-500 to-purple-500 text-white px-4 py-2 rounded-full text-sm font-medium hover:opacity-90 active:scale-95 transition-all duration-200 disabled:opacity-50 min-h-[40px]"
+        >
+          {isAdding ? 'Adding...' : 'Add to cart'}
+        </button>
+      </>
+    );
+  };
+
+  // --- Quote Watching ---
+  const stopQuoteWatcher = () => {
+    if (quoteWatcher.current) {
+      quoteWatcher.current.cancel();
+      quoteWatcher.current = null;
+    }
+  };
+
+  const startQuoteWatcher = (rowid, publicUrl) => {
+    stopQuoteWatcher();
+    quoteWatcher.current = watchQuote(rowid, {
+      onPriced: (data) => {
+        quoteWatcher.current = null;
+        console.log('✅ Pricing data found:', data.priceaddon);
+        applyPricingRow(data, publicUrl);
+        setProcessingState('complete');
+        setProcessingMessage('Analysis complete!');
+      },
+      onSlow: () => {
+        // Keep watching in the background; the price still lands on its own
+        console.log('⚠️ Pricing is taking longer than expected');
+        // A matched price stays up; the fresh one still replaces it when it lands
+        setPriceResult(prevResult => prevResult && prevResult.matchedPreviousQuote ? prevResult : ({
+          ...prevResult,
+          priceAddon: 'Still processing...',
+          cakeDesignDetails: 'Analysis taking longer than expected - your price will appear here automatically',
+          cakeType: 'Still processing...',
+          height: 'Still processing...',
+          hasRealData: false,
+          needsRefresh: true
+        }));
+        setProcessingState('idle');
+        setProcessingMessage('');
+      },
+      onStatus: (mode) => console.log(`📡 Watching quote via ${mode}`)
+    });
+  };
+
+  // --- Pricing Logic ---
   const handleCalculatePrice = async () => {
       if (gallery.length === 0) return;
       
       setProcessingState('processing');
-      setProcessingMessage('Uploading image to Supabase...');
+      setProcessingMessage('Preparing your photos...');
       setError(null);
       setPriceResult(null);
+      const session = ++quoteSession.current;
 
       try {
-          const selectedImage = gallery[selectedImageIndex];
-          let publicUrl, dbRecord;
+          // Upload any photo that only exists locally (an earlier upload failed)
+          let items = gallery;
+          const pending = items.filter(item => !item.publicUrl && !item.queueId && item.file);
+          if (pending.length > 0) {
+              console.log('⬆️ Uploading remaining photos to Supabase...');
+              // Uploading shows progress and Cancel like adding photos does
+              setProcessingState('uploading');
+              setProcessingMessage('Uploading your photos...');
+              if (uploadAbortController.current) {
+                  uploadAbortController.current.abort();
+              }
+              const controller = new AbortController();
+              uploadAbortController.current = controller;
+              const totalBytes = pending.reduce((sum, item) => sum + item.file.size, 0);
+              const sentBytes = new Map();
+              items = await Promise.all(items.map(async item => {
+                  if (item.publicUrl || item.queueId || !item.file) return item;
+                  const uploaded = await uploadOrQueue(item.file, item.compressionInfo ? item.compressionInfo.renditions : null, {
+                      signal: controller.signal,
+                      onProgress: (sent) => {
+                          sentBytes.set(item.id, sent);
+                          const allSent = [...sentBytes.values()].reduce((sum, value) => sum + value, 0);
+                          setUploadProgress((allSent / totalBytes) * 100);
+                      },
+                      onPause: () => setProcessingMessage("No connection. Upload paused, it will continue when you're back online..."),
+                      onResume: () => setProcessingMessage('Uploading your photos...')
+                  });
+                  return { ...item, ...uploaded };
+              })).finally(() => {
+                  if (uploadAbortController.current === controller) uploadAbortController.current = null;
+              });
+              // Back to the AI timer
+              setUploadProgress(0);
+              setProcessingState('processing');
+              setProcessingMessage('Preparing your photos...');
+          }
           
-          // Check if image is already uploaded to Supabase
-          if (selectedImage.publicUrl && selectedImage.dbRecord) {
-              console.log('✅ Using existing Supabase data');
-              publicUrl = selectedImage.publicUrl;
-              dbRecord = selectedImage.dbRecord;
+          // Still offline: the queue creates the row once every photo is up
+          if (items.some(item => !item.publicUrl && item.queueId)) {
+              await queueQuote(items);
+              return;
+          }
+          
+          const imageUrls = items.map(item => item.publicUrl).filter(Boolean);
+          const publicUrl = imageUrls[0];
+          const imageHash = items[0].imageHash || null;
+          let dbRecord = getQuoteRecord(items);
+          
+          // A design that was priced before can show its price right away
+          const previousQuote = dbRecord ? null : await findPreviousQuote(imageHash);
+          if (session !== quoteSession.current) return;
+          
+          // Without a fresh analysis the new row takes over the earlier price; the earlier row is never reused
+          const reusePrice = previousQuote && !DUPLICATE_CONFIG.FRESH_ANALYSIS;
+          
+          // One quote row carries every reference photo
+          if (!dbRecord) {
+              const mainFile = items[0].originalFile;
+              dbRecord = await saveImageToDatabase({
+                  imageUrl: publicUrl,
+                  imageUrls,
+                  fileName: mainFile ? mainFile.name : null,
+                  imageHash,
+                  renditionUrls: getRenditionColumns(items),
+                  copyPriceFrom: reusePrice ? previousQuote : null
+              });
           } else {
-              console.log('⬆️ Uploading image to Supabase...');
-              const uploadResult = await uploadToSupabase(selectedImage.file);
-              publicUrl = uploadResult.publicUrl;
-              dbRecord = uploadResult.dbRecord;
-              
-              // Update the gallery item with Supabase data
-              const updatedGallery = [...gallery];
-              updatedGallery[selectedImageIndex] = {
-                  ...selectedImage,
-                  publicUrl,
-                  dbRecord
-              };
-              setGallery(updatedGallery);
+              console.log('✅ Using existing Supabase data');
           }
+          setGallery(items.map(item => ({ ...item, dbRecord })));
           
-          console.log('📊 Database record created:', dbRecord);
-          setProcessingMessage('AI is analyzing your cake design...');
+          // The user started over while we were uploading
+          if (session !== quoteSession.current) return;
+          navigateTo(buildQuotePath(dbRecord.rowid));
           
-          // Show initial processing state
-          setPriceResult({
-              priceAddon: 'Processing...',
-              cakeDesignDetails: 'AI is analyzing your design...',
-              cakeType: 'Determining...',
-              height: 'Calculating...',
-              rowId: dbRecord.rowid,
-              supabaseUrl: publicUrl,
-              hasRealData: false
-          });
+          console.log('📊 Database record created:', dbRecord);
           
-          // Fixed polling logic
-          let attempts = 0;
-          const maxAttempts = 8; // 8 attempts * 5 seconds = 40 seconds
+          if (reusePrice) {
+              applyPricingRow(dbRecord, publicUrl, {
+                  imageUrls,
+                  matchedPreviousQuote: true,
+                  matchedRowId: previousQuote.rowid
+              });
+              setProcessingState('complete');
+              setProcessingMessage('Matched a previous quote!');
+              setTimeout(() => {
+                  setProcessingState('idle');
+                  setProcessingMessage('');
+              }, 2000);
+              return;
+          }
           
-          const pollForData = async () => {
-              try {
-                  attempts++;
-                  console.log(`🔍 Polling attempt ${attempts}/${maxAttempts}`);
-                  
-                  const data = await fetchPricingData(dbRecord.rowid);
-                  console.log('📊 Polled data:', data);
-                  
-                  if (data && data.priceaddon !== null && data.priceaddon !== undefined) {
-                      // Found pricing data!
-                      console.log('✅ Pricing data found:', data.priceaddon);
-                      setPriceResult({
-                          priceAddon: `+₱${data.priceaddon}`,
-                          cakeDesignDetails: data.infoaddon || 'Design analyzed',
-                          cakeType: data.type || 'Custom',
-                          height: data.thickness || 'Standard',
-                          rowId: data.rowid,
-                          supabaseUrl: publicUrl,
-                          hasRealData: true
-                      });
-                      setProcessingState('complete');
-                      setProcessingMessage('Analysis complete!');
-                      console.log('✅ Real data loaded successfully');
-                      return; // Stop polling
-                  }
-                  
-                  // Continue polling if we haven't reached max attempts
-                  if (attempts < maxAttempts) {
-                      console.log(`⏰ Scheduling next poll in 5 seconds (attempt ${attempts + 1}/${maxAttempts})`);
-                      setTimeout(pollForData, 5000);
-                  } else {
-                      // Max attempts reached, show refresh option
-                      console.log('⚠️ Max polling attempts reached');
-                      setPriceResult(prevResult => ({
-                          ...prevResult,
-                          priceAddon: 'Still processing...',
-                          cakeDesignDetails: 'Analysis taking longer than expected - please refresh',
-                          cakeType: 'Still processing...',
-                          height: 'Still processing...',
-                          hasRealData: false,
-                          needsRefresh: true
-                      }));
-                      setProcessingState('complete');
-                      setProcessingMessage('Processing may take longer - please refresh!');
-                      console.log('⚠️ Refresh option enabled');
-                  }
-              } catch (error) {
-                  console.error('❌ Polling error:', error);
-                  if (attempts < maxAttempts) {
-                      console.log(`🔁 Retrying after error in 5 seconds`);
-                      setTimeout(pollForData, 5000);
-                  } else {
-                      setPriceResult(prevResult => ({
-                          ...prevResult,
-                          priceAddon: 'Error',
-                          cakeDesignDetails: 'Please refresh to try again',
-                          cakeType: 'Error',
-                          height: 'Error',
-                          hasRealData: false,
-                          needsRefresh: true
-                      }));
-                      setProcessingState('error');
-                      setProcessingMessage('Error occurred - please refresh!');
-                      console.log('❌ Error state set');
-                  }
-              }
-          };
+          if (previousQuote) {
+              // Show the earlier price on this quote's row while the fresh analysis runs
+              setProcessingMessage('Matched a previous quote. Double-checking with a fresh analysis...');
+              applyPricingRow(previousQuote, publicUrl, {
+                  rowId: dbRecord.rowid,
+                  imageUrls,
+                  matchedPreviousQuote: true,
+                  matchedRowId: previousQuote.rowid
+              });
+          } else {
+              setProcessingMessage('AI is analyzing your cake design...');
+              
+              // Show initial processing state
+              setPriceResult({
+                  priceAddon: 'Processing...',
+                  cakeDesignDetails: 'AI is analyzing your design...',
+                  cakeType: 'Determining...',
+                  height: 'Calculating...',
+                  rowId: dbRecord.rowid,
+                  supabaseUrl: publicUrl,
+                  imageUrls,
+                  hasRealData: false
+              });
+          }
           
-          // Start polling after 5 seconds
-          console.log('⏰ Starting polling in 5 seconds...');
-          setTimeout(pollForData, 5000);
+          // Wait for the AI price via realtime, with polling fallback
+          startQuoteWatcher(dbRecord.rowid, publicUrl);
           
       } catch (err) {
+          // Cancelled while uploading; handleCancelUpload has reset the view
+          if (err.name === 'AbortError') return;
           console.error('❌ Price calculation failed:', err);
+          setUploadProgress(0);
           setError(`Failed to calculate price: ${err.message}`);
           setProcessingState('error');
           setProcessingMessage('Failed to start analysis');
       }
   };
   
+  // --- Offline Queue ---
+  // Queues the quote row; resumeQueuedQuote takes over once the queue has created it
+  const queueQuote = async (items) => {
+      const rowid = createRowId();
+      const mainFile = items[0].originalFile;
+      await enqueueQuote({
+          rowid,
+          photos: items.map(item => item.publicUrl
+              ? { queueId: null, publicUrl: item.publicUrl, renditionUrls: item.renditionUrls || null }
+              : { queueId: item.queueId, publicUrl: null, renditionUrls: null }),
+          fileName: mainFile ? mainFile.name : null,
+          imageHash: items[0].imageHash || null
+      });
+      console.log('📥 Quote queued until the connection is back:', rowid);
+      
+      setGallery(items);
+      setPriceResult({
+          priceAddon: 'Waiting for connection...',
+          cakeDesignDetails: "Your photos are saved and will be sent for pricing automatically when you're back online.",
+          cakeType: 'Waiting...',
+          height: 'Waiting...',
+          rowId: rowid,
+          hasRealData: false,
+          queued: true
+      });
+      setProcessingState('queued');
+      setProcessingMessage("You're offline. Your quote will be sent when you're back online.");
+      processUploadQueue();
+  };
+  
+  // The queued row exists now: wait for the AI price like a fresh quote
+  const resumeQueuedQuote = (entry) => {
+      const imageUrls = entry.photos.map(photo => photo.publicUrl);
+      const dbRecord = { rowid: entry.rowid, id: entry.rowid, image: imageUrls[0], images: imageUrls };
+      
+      setGallery(prev => prev.map((item, index) => ({
+          ...item,
+          queueId: null,
+          publicUrl: item.publicUrl || imageUrls[index],
+          renditionUrls: item.renditionUrls || (entry.photos[index] && entry.photos[index].renditionUrls) || null,
+          dbRecord
+      })));
+      navigateTo(buildQuotePath(entry.rowid));
+      setPriceResult({
+          priceAddon: 'Processing...',
+          cakeDesignDetails: 'AI is analyzing your design...',
+          cakeType: 'Determining...',
+          height: 'Calculating...',
+          rowId: entry.rowid,
+          supabaseUrl: imageUrls[0],
+          imageUrls,
+          hasRealData: false
+      });
+      setProcessingState('processing');
+      setProcessingMessage('AI is analyzing your cake design...');
+      startQuoteWatcher(entry.rowid, imageUrls[0]);
+  };
+  
+  // A queued upload gave up (rejected, or out of attempts). The photo stays local and
+  // uploads directly the next time the quote is priced, or the customer removes it
+  const handleQueueEntryFailed = (entry) => {
+      if (entry.kind === 'photo') {
+          if (!gallery.some(item => item.queueId === entry.id)) return;
+          setGallery(prev => prev.map(item => item.queueId === entry.id ? { ...item, queueId: null, uploadFailed: true } : item));
+          setError(`A photo couldn't be uploaded (${entry.lastError}). Remove it, or calculate the price again to retry.`);
+      } else if (priceResult && priceResult.queued && priceResult.rowId === entry.rowid) {
+          setPriceResult(null);
+          setError(`Your quote couldn't be sent (${entry.lastError}). Please calculate the price again.`);
+      } else {
+          return;
+      }
+      console.warn('❌ Queued upload failed:', entry.id, entry.lastError);
+      setProcessingState('error');
+      setProcessingMessage('Upload failed. Please try again.');
+      setTimeout(() => {
+          setProcessingState('idle');
+          setProcessingMessage('');
+      }, 5000);
+      removeQueueEntry(entry.id).catch(() => {});
+  };
+  
+  // A queued photo was uploaded or a queued quote row created (here or in the service worker), or either gave up
+  const handleQueueEntryUpdate = (entry) => {
+      if (entry.status === 'failed') {
+          handleQueueEntryFailed(entry);
+          return;
+      }
+      if (entry.kind === 'photo') {
+          if (!gallery.some(item => item.queueId === entry.id)) return;
+          const uploaded = { queueId: null, publicUrl: entry.publicUrl, renditionUrls: entry.renditionUrls };
+          const nextGallery = gallery.map(item => item.queueId === entry.id ? { ...item, ...uploaded } : item);
+          setGallery(prev => prev.map(item => item.queueId === entry.id ? { ...item, ...uploaded } : item));
+          syncQuoteImages(nextGallery);
+          if (processingState === 'queued' && !nextGallery.some(item => item.queueId) && !(priceResult && priceResult.queued)) {
+              setProcessingState('idle');
+              setProcessingMessage('');
+          }
+      } else if (priceResult && priceResult.queued && priceResult.rowId === entry.rowid) {
+          resumeQueuedQuote(entry);
+      } else {
+          return;
+      }
+      console.log('📤 Queued upload finished:', entry.id);
+      removeQueueEntry(entry.id).catch(() => {});
+  };
+  queueEntryHandlerRef.current = handleQueueEntryUpdate;
+  latestGallery.current = gallery;
+  
   // Simplified refresh function
   const handleRefreshPrice = async () => {
       if (!priceResult || !priceResult.rowId) return;
@@ -435,15 +1055,8 @@ export default function App() {
           console.log('Refresh fetched data:', data);
           
           if (data && data.priceaddon !== null && data.priceaddon !== undefined) {
-              setPriceResult({
-                  priceAddon: `+₱${data.priceaddon}`,
-                  cakeDesignDetails: data.infoaddon || 'Design analyzed',
-                  cakeType: data.type || 'Custom',
-                  height: data.thickness || 'Standard',
-                  rowId: data.rowid,
-                  supabaseUrl: priceResult.supabaseUrl,
-                  hasRealData: true
-              });
+              stopQuoteWatcher();
+              applyPricingRow(data, priceResult.supabaseUrl);
               setProcessingState('complete');
               setProcessingMessage('Pricing data refreshed!');
               setError(null);
@@ -460,21 +1073,44 @@ export default function App() {
       }
   };
   
+  // Cake message and schedule belong to one quote; a different quote starts from its own (or empty) details
+  const resetQuoteDetails = (message = EMPTY_CAKE_MESSAGE) => {
+      editedMessageRowId.current = null;
+      setCakeMessage(message);
+      setSchedule(EMPTY_SCHEDULE);
+  };
+  
+  // Start over: drop the quote and stop anything still waiting on it
+  const handleStartOver = () => {
+      quoteSession.current++;
+      stopQuoteWatcher();
+      // Nothing queued for this quote should reach the database any more
+      gallery.forEach(item => {
+          if (item.queueId) removeQueueEntry(item.queueId).catch(() => {});
+      });
+      if (priceResult && priceResult.queued) removeQueueEntry(`quote-${priceResult.rowId}`).catch(() => {});
+      clearSession();
+      setPriceResult(null);
+      setGallery([]);
+      setProcessingState('idle');
+      setProcessingMessage('');
+      setShareStatus('');
+      resetQuoteDetails();
+      navigateTo('/');
+  };
+  
   // Back to search results function
   const handleBackToSearch = () => {
     if (previousSearchState) {
       console.log('Restoring search state:', previousSearchState);
       
       // Clear gallery and pricing first
+      quoteSession.current++;
+      stopQuoteWatcher();
       setGallery([]);
       setPriceResult(null);
       setSelectedImageIndex(0);
-      
-      // Clear the search container to ensure fresh results
-      const container = document.getElementById('google-search-container');
-      if (container) {
-        container.innerHTML = '';
-      }
+      resetQuoteDetails();
       
       // Reset pendingSearchQuery to allow re-searching
       pendingSearchQuery.current = null;
@@ -483,8 +1119,10 @@ export default function App() {
       setSearchInput(previousSearchState.inputValue);
       setCurrentPage(previousSearchState.currentPage || 1);
       setTotalResults(previousSearchState.totalResults || 0);
+      setSearchFilters(normalizeFilterIds(previousSearchState.filters));
       setSearchQuery(previousSearchState.query); // This will trigger the search via useEffect
       setShowResults(true);
+      navigateTo(buildSearchPath(previousSearchState.query, previousSearchState.currentPage || 1, normalizeFilterIds(previousSearchState.filters)));
       
       // Use a more responsive scroll restoration approach
       const restoreScroll = () => {
@@ -512,9 +1150,247 @@ export default function App() {
     }
   };
   
+  // --- URL Restore ---
+  // Loads a shared /quote/<rowid> link: image and pricing from uploadpricing2
+  const loadQuoteFromRow = async (rowid) => {
+    const session = ++quoteSession.current;
+    stopQuoteWatcher();
+    setShowResults(false);
+    setIsUploadOpen(false);
+    setError(null);
+    setPriceResult(null);
+    setShareStatus('');
+    setProcessingState('processing');
+    setProcessingMessage('Loading your quote...');
+
+    try {
+      const data = await fetchPricingData(rowid);
+      if (session !== quoteSession.current) return;
+      if (!data || !data.image) {
+        throw new Error('Quote has no image');
+      }
+
+      const dbRecord = { ...data, id: data.rowid };
+      resetQuoteDetails({
+        message: data.cakemessage || '',
+        candleNumber: data.candlenumber || '',
+        name: data.celebrantname || ''
+      });
+      const imageUrls = Array.isArray(data.images) && data.images.length > 0 ? data.images : [data.image];
+      setGallery(imageUrls.map((url, index) => ({
+        id: `${data.rowid}-${index}`,
+        dataUrl: url,
+        file: null,
+        publicUrl: url,
+        renditionUrls: renditionUrlsFromRow(data, index),
+        dbRecord,
+        fromUrl: true
+      })));
+      setSelectedImageIndex(0);
+
+      if (data.priceaddon !== null && data.priceaddon !== undefined) {
+        applyPricingRow(data, data.image);
+        setProcessingState('complete');
+        setProcessingMessage('Analysis complete!');
+      } else {
+        // Price not ready yet: resume waiting exactly like a fresh upload
+        setPriceResult({
+          priceAddon: 'Processing...',
+          cakeDesignDetails: 'AI is analyzing your design...',
+          cakeType: 'Determining...',
+          height: 'Calculating...',
+          rowId: data.rowid,
+          supabaseUrl: data.image,
+          hasRealData: false
+        });
+        setProcessingMessage('AI is analyzing your cake design...');
+        startQuoteWatcher(data.rowid, data.image);
+      }
+    } catch (err) {
+      console.error('Failed to restore quote from URL:', err);
+      if (session !== quoteSession.current) return;
+      setGallery([]);
+      setError('We could not find that quote. Please upload your design again.');
+      setProcessingState('idle');
+      setProcessingMessage('');
+      navigateTo('/', { replace: true });
+    }
+  };
+
+  // Applies a parsed route without pushing a new history entry
+  const applyRoute = (route) => {
+    if (route.view === 'quote') {
+      const current = gallery[selectedImageIndex];
+      if (current && current.dbRecord && current.dbRecord.rowid === route.rowid) {
+        setShowResults(false);
+        return;
+      }
+      loadQuoteFromRow(route.rowid);
+    } else if (route.view === 'search') {
+      pendingSearchQuery.current = null;
+      setSearchInput(route.query);
+      setSearchQuery(route.query);
+      setCurrentPage(route.page);
+      setSearchFilters(normalizeFilterIds(route.filters));
+      setShowResults(true);
+    } else {
+      quoteSession.current++;
+      stopQuoteWatcher();
+      setShowResults(false);
+      setPriceResult(null);
+      setGallery([]);
+      resetQuoteDetails();
+      setProcessingState('idle');
+      setProcessingMessage('');
+    }
+  };
+  applyRouteRef.current = applyRoute;
+
+  // --- Session Persistence ---
+  // A saved session is only resumed when it matches what the URL asks for
+  const snapshotMatchesRoute = (snapshot, route) => {
+    const current = snapshot.gallery[snapshot.selectedImageIndex];
+    const currentRowId = current && current.dbRecord ? current.dbRecord.rowid : null;
+
+    if (route.view === 'quote') return currentRowId === route.rowid;
+    if (route.view === 'search') return snapshot.search.query === route.query;
+    return snapshot.gallery.length > 0 || snapshot.search.showResults;
+  };
+
+  const restoreSnapshot = (snapshot) => {
+    const { search = {}, selection = {} } = snapshot;
+
+    setGallery(snapshot.gallery);
+    setSelectedImageIndex(snapshot.selectedImageIndex);
+    setPriceResult(snapshot.priceResult);
+    setSelectedCakeType(selection.cakeType || '');
+    setSelectedHeight(selection.height || '');
+    setCakeMessage({ ...EMPTY_CAKE_MESSAGE, ...(snapshot.cakeMessage || {}) });
+    setSchedule({ ...EMPTY_SCHEDULE, ...(snapshot.schedule || {}) });
+    setPreviousSearchState(snapshot.previousSearchState);
+    setSearchInput(search.input || search.query || '');
+    setCurrentPage(search.currentPage || 1);
+    setTotalResults(search.totalResults || 0);
+    setSearchFilters(normalizeFilterIds(search.filters));
+
+    // Pick the wait back up if the price hadn't arrived yet
+    const pending = snapshot.priceResult;
+    if (pending && pending.queued) {
+      setProcessingState('queued');
+      setProcessingMessage("You're offline. Your quote will be sent when you're back online.");
+    } else if (pending && !pending.hasRealData && pending.rowId) {
+      quoteSession.current++;
+      setProcessingState('processing');
+      setProcessingMessage('AI is analyzing your cake design...');
+      startQuoteWatcher(pending.rowId, pending.supabaseUrl);
+    }
+
+    const current = snapshot.gallery[snapshot.selectedImageIndex];
+    if (search.showResults && search.query) {
+      pendingSearchQuery.current = null;
+      setSearchQuery(search.query);
+      setShowResults(true);
+      navigateTo(buildSearchPath(search.query, search.currentPage || 1, normalizeFilterIds(search.filters)), { replace: true });
+    } else if (current && current.dbRecord) {
+      navigateTo(buildQuotePath(current.dbRecord.rowid), { replace: true });
+    }
+  };
+  restoreSnapshotRef.current = restoreSnapshot;
+
+  // Restore the saved session (or the URL) on load and follow browser back/forward
+  useEffect(() => {
+    let isActive = true;
+
+    loadSession()
+      .then(applyFinishedUploads)
+      .catch(err => {
+        console.warn('Session restore failed:', err);
+        return null;
+      })
+      .then(snapshot => {
+        if (!isActive) return;
+        const route = parseLocation();
+        if (snapshot && snapshotMatchesRoute(snapshot, route)) {
+          console.log('Restoring saved session');
+          restoreSnapshotRef.current(snapshot);
+        } else {
+          applyRouteRef.current(route);
+        }
+        hasRestoredSession.current = true;
+      });
+
+    const handlePopState = () => applyRouteRef.current(parseLocation());
+    window.addEventListener('popstate', handlePopState);
+    return () => {
+      isActive = false;
+      window.removeEventListener('popstate', handlePopState);
+    };
+  }, []);
+
+  // Save the session whenever something worth resuming changes
+  useEffect(() => {
+    if (!hasRestoredSession.current) return;
+
+    saveSession({
+      gallery,
+      selectedImageIndex,
+      priceResult,
+      selection: { cakeType: selectedCakeType, height: selectedHeight },
+      cakeMessage,
+      schedule,
+      previousSearchState,
+      search: {
+        query: searchQuery,
+        input: searchInput,
+        currentPage,
+        totalResults,
+        filters: searchFilters,
+        showResults
+      }
+    });
+  }, [gallery, selectedImageIndex, priceResult, selectedCakeType, selectedHeight, cakeMessage, schedule, previousSearchState, searchQuery, searchInput, currentPage, totalResults, searchFilters, showResults]);
+
+  // Save the cake message on the quote row (debounced while typing)
+  // Only after the customer edits it, so loading or restoring a quote never writes over its row
+  const quoteRowId = priceResult && priceResult.hasRealData ? priceResult.rowId : null;
+  const handleCakeMessageChange = (value) => {
+    editedMessageRowId.current = quoteRowId;
+    setCakeMessage(value);
+  };
+  useEffect(() => {
+    if (!quoteRowId || editedMessageRowId.current !== quoteRowId) return;
+
+    const timeoutId = setTimeout(() => {
+      updateQuoteMessage(quoteRowId, cakeMessage).catch(err => {
+        console.warn('Could not save cake message:', err);
+      });
+    }, 800);
+    return () => clearTimeout(timeoutId);
+  }, [quoteRowId, cakeMessage]);
+
+  const handleShareQuote = async () => {
+    if (!priceResult || !priceResult.rowId) return;
+    const shareUrl = getQuoteShareUrl(priceResult.rowId);
+
+    try {
+      if (navigator.share) {
+        await navigator.share({ title: 'My Cake Genie quote', url: shareUrl });
+        return;
+      }
+      await navigator.clipboard.writeText(shareUrl);
+      setShareStatus('Link copied!');
+    } catch (err) {
+      if (err.name === 'AbortError') return; // User closed the share sheet
+      console.warn('Share failed:', err);
+      setShareStatus(shareUrl);
+    }
+  };
+
   // Cleanup on component unmount
   useEffect(() => {
       return () => {
+          // Stop waiting for a price nobody will see
+          stopQuoteWatcher();
           // Cleanup search operations
           if (searchAbortController.current) {
               searchAbortController.current.abort();
@@ -531,81 +1407,74 @@ export default function App() {
       };
   }, []);
 
-  // Function to extract higher resolution image URL
-  const getHighResImageUrl = (imageUrl, clickedElement) => {
-    console.log('Original image URL:', imageUrl);
-    
-    // Strategy 1: Look for higher res version in parent elements (modal links)
-    let currentElement = clickedElement;
-    for (let i = 0; i < 5 && currentElement; i++) {
-      // Check for Google Images modal link patterns
-      const link = currentElement.closest('a');
-      if (link && link.href) {
-        // Google Images modal URLs often contain the actual source
-        if (link.href.includes('google.com/url') && link.href.includes('url=')) {
-          try {
-            const urlParams = new URLSearchParams(new URL(link.href).search);
-            const actualUrl = urlParams.get('url');
-            if (actualUrl) {
-              console.log('Found modal source URL:', actualUrl);
-              return decodeURIComponent(actualUrl);
-            }
-          } catch (e) {
-            console.log('Could not parse modal URL:', e);
-          }
-        }
-      }
-      currentElement = currentElement.parentElement;
-    }
-    
-    // Strategy 2: Enhance Google User Content URLs
-    if (imageUrl.includes('googleusercontent.com') || imageUrl.includes('ggpht.com')) {
-      // Replace size parameters with higher resolution
-      const enhancedUrl = imageUrl.replace(/[?&]s=\d+/, '').replace(/[?&]w=\d+/, '').replace(/[?&]h=\d+/, '');
-      const separator = enhancedUrl.includes('?') ? '&' : '?';
-      const highResUrl = `${enhancedUrl}${separator}s=2048`;
-      console.log('Enhanced Google User Content URL:', highResUrl);
-      return highResUrl;
-    }
-    
-    // Strategy 3: Handle encrypted Google thumbnail URLs
-    if (imageUrl.includes('encrypted-tbn') && imageUrl.includes('gstatic.com')) {
-      // Try to remove size limitation parameter
-      const enhancedUrl = imageUrl.replace(/[?&]s=\d*/, '');
-      console.log('Enhanced encrypted thumbnail URL:', enhancedUrl);
-      return enhancedUrl;
-    }
-    
-    // Strategy 4: Handle URLs with dimension parameters
-    if (imageUrl.includes('w=') && imageUrl.includes('h=')) {
-      const enhancedUrl = imageUrl
-        .replace(/[?&]w=\d+/, '&w=1920')
-        .replace(/[?&]h=\d+/, '&h=1080');
-      console.log('Enhanced dimension URL:', enhancedUrl);
-      return enhancedUrl;
-    }
-    
-    // Strategy 5: Look for data attributes with higher res URLs
-    const img = clickedElement.tagName === 'IMG' ? clickedElement : clickedElement.querySelector('img');
-    if (img) {
-      const dataSrc = img.getAttribute('data-src') || img.getAttribute('data-original');
-      if (dataSrc && dataSrc !== imageUrl) {
-        console.log('Found data-src with potentially higher resolution:', dataSrc);
-        return dataSrc;
+  // --- Priced Design Reuse ---
+  // Starts a new quote row from a design an admin opted into search: photos and price are copied,
+  // the customer's message starts empty and the original row is never opened or written to
+  const startQuoteFromPricedDesign = async (rowid) => {
+    const session = ++quoteSession.current;
+    stopQuoteWatcher();
+    setShowResults(false);
+    setError(null);
+    setPriceResult(null);
+    setShareStatus('');
+    setProcessingState('processing');
+    setProcessingMessage('Loading this design...');
+
+    try {
+      const design = await fetchPricedDesign(rowid);
+      if (session !== quoteSession.current) return;
+      if (!design || !design.image) {
+        throw new Error('Design has no image');
       }
+
+      const imageUrls = Array.isArray(design.images) && design.images.length > 0 ? design.images : [design.image];
+      const dbRecord = await saveImageToDatabase({
+        imageUrl: design.image,
+        imageUrls,
+        fileName: 'selected_from_search',
+        imageHash: design.imagehash,
+        renditionUrls: {
+          thumb: design.imagethumbs,
+          medium: design.imagemediums,
+          widths: design.imagewidths
+        },
+        copyPriceFrom: design
+      });
+      if (session !== quoteSession.current) return;
+      console.log('♻️ Priced design copied into a new quote:', dbRecord.rowid);
+
+      setGallery(imageUrls.map((url, index) => ({
+        id: `${dbRecord.rowid}-${index}`,
+        dataUrl: url,
+        file: null,
+        publicUrl: url,
+        renditionUrls: renditionUrlsFromRow(design, index),
+        dbRecord,
+        fromSearch: true
+      })));
+      setSelectedImageIndex(0);
+      resetQuoteDetails();
+      navigateTo(buildQuotePath(dbRecord.rowid));
+      applyPricingRow(dbRecord, design.image, {
+        matchedPreviousQuote: true,
+        matchedRowId: design.rowid
+      });
+      setProcessingState('complete');
+      setProcessingMessage('Analysis complete!');
+    } catch (err) {
+      console.error('Failed to start a quote from the priced design:', err);
+      if (session !== quoteSession.current) return;
+      setError(`Failed to load this design: ${err.message}`);
+      setProcessingState('error');
+      setProcessingMessage('Failed to load design');
+      setShowResults(true);
     }
-    
-    console.log('No higher resolution found, using original URL');
-    return imageUrl;
   };
 
-  // --- Google Search Image Click Handler ---
-  const handleGoogleSearchImageClick = useCallback(async (imageUrl, clickedElement = null) => {
-    console.log('Processing image click:', imageUrl);
-    
-    // Extract higher resolution image URL
-    const highResImageUrl = clickedElement ? getHighResImageUrl(imageUrl, clickedElement) : imageUrl;
-    console.log('Using image URL:', highResImageUrl);
+  // --- Search Result Selection ---
+  // The result's imageUrl is the original full-size image, not a thumbnail
+  const handleSearchResultSelect = async (result) => {
+    console.log('Processing search result:', result.source, result.imageUrl);
     
     // Save current search state before navigating away
     if (showResults) {
@@ -615,24 +1484,90 @@ export default function App() {
         inputValue: searchInput,
         scrollPosition: savedScrollPosition.current,
         currentPage: currentPage,
-        totalResults: totalResults
+        totalResults: totalResults,
+        filters: searchFilters
       });
     }
     
+    // A design we've priced before becomes a new quote with its price, never the earlier customer's row
+    if (result.rowid) {
+      startQuoteFromPricedDesign(result.rowid);
+      return;
+    }
+    
+    // Cancel stops the copy like it stops an upload
+    if (uploadAbortController.current) {
+      uploadAbortController.current.abort();
+    }
+    const controller = new AbortController();
+    uploadAbortController.current = controller;
+    
     try {
+      setError(null);
       setProcessingState('uploading');
       setProcessingMessage('Saving your choice...');
       
-      // Save image URL to Supabase database
-      const dbRecord = await saveImageToDatabase(highResImageUrl, 'selected_from_search');
+      // Copy the image into our storage so the quote doesn't depend on someone else's link.
+      // If it can't be copied the customer picks another image; the link is only saved as the
+      // image when copying is turned off (VITE_INGEST_SEARCH_IMAGES=false)
+      let stored = null;
+      if (INGEST_CONFIG.ENABLED) {
+        try {
+          stored = await ingestRemoteImage(result.imageUrl, {
+            signal: controller.signal,
+            onProgress: (progress) => setProcessingMessage(`Copying image: ${describeCompressionStep(progress)}...`)
+          });
+          console.log('📥 Search image copied to storage:', stored.publicUrl);
+        } catch (ingestError) {
+          if (ingestError.name === 'AbortError') return;
+          console.warn('Could not copy the search image:', ingestError);
+          setError(`We couldn't copy this image (${ingestError.message}). Please pick another one.`);
+          setProcessingState('idle');
+          setProcessingMessage('');
+          return;
+        }
+        setProcessingMessage('Saving your choice...');
+      }
+      // Cancelled once the copy was stored: nothing uses it now
+      const discardCopy = () => {
+        if (stored) removeStoredImages(stored.storagePaths).catch(() => {});
+      };
+      if (controller.signal.aborted) {
+        discardCopy();
+        return;
+      }
+      const imageUrl = stored ? stored.publicUrl : result.imageUrl;
+      const storedImage = {
+        publicUrl: imageUrl,
+        renditionUrls: stored ? stored.renditionUrls : null,
+        imageHash: stored ? stored.imageHash : null,
+        compressionInfo: stored ? stored.compressionResult : null
+      };
+      
+      // Save image URL to Supabase database, with where it came from
+      const dbRecord = await saveImageToDatabase({
+        imageUrl,
+        imageUrls: [imageUrl],
+        fileName: 'selected_from_search',
+        imageHash: storedImage.imageHash,
+        renditionUrls: getRenditionColumns([storedImage]),
+        sourceUrl: result.imageUrl
+      });
       console.log('Image saved to database:', dbRecord);
+      if (controller.signal.aborted) {
+        // Cancelled during the insert: take the row back so it isn't priced for nobody
+        deleteQuoteRow(dbRecord.rowid).catch(() => {});
+        discardCopy();
+        return;
+      }
       
       // Create a mock image object for the gallery
       const selectedImage = {
         id: dbRecord.id || Date.now() + Math.random(),
-        dataUrl: highResImageUrl,
+        dataUrl: imageUrl,
         file: null, // No actual file since it's from web
-        publicUrl: highResImageUrl,
+        ...storedImage,
+        sourceUrl: result.imageUrl,
         dbRecord,
         fromSearch: true
       };
@@ -640,7 +1575,9 @@ export default function App() {
       // Update gallery and close search results
       setGallery([selectedImage]);
       setSelectedImageIndex(0);
+      resetQuoteDetails();
       setShowResults(false);
+      navigateTo(buildQuotePath(dbRecord.rowid));
       setProcessingState('idle');
       setProcessingMessage('');
       
@@ -658,177 +1595,91 @@ export default function App() {
         setProcessingMessage('');
         setError(null);
       }, 5000);
+    } finally {
+      if (uploadAbortController.current === controller) uploadAbortController.current = null;
     }
-  }, [showResults, searchQuery, searchInput]);
+  };
   
-  // Initialize Google Search Integration
-  useEffect(() => {
-    const handleGoogleSearchClick = (event) => {
-      const clickedElement = event.target;
-      const searchContainer = document.getElementById('google-search-container');
-      
-      // Check if click is within Google search results
-      if (!searchContainer || !searchContainer.contains(clickedElement)) {
-        return;
-      }
-      
-      // Reject pagination and UI elements
-      const rejectedSelectors = [
-        '.gsc-cursor',
-        '.gsc-cursor-page',
-        '.gsc-cursor-current-page', 
-        '.gsc-cursor-numbered-page',
-        '.gsc-above-wrapper-area',
-        '.gsc-input',
-        '.gsc-search-button'
-      ];
-      
-      for (const selector of rejectedSelectors) {
-        if (clickedElement.closest(selector)) {
-          console.log('Rejected pagination/UI click:', selector);
-          return;
-        }
-      }
-      
-      // Look for image in clicked area
-      let img = null;
-      
-      // Strategy 1: Direct image click
-      if (clickedElement.tagName === 'IMG') {
-        img = clickedElement;
-      }
-      
-      // Strategy 2: Image within clicked element
-      if (!img) {
-        img = clickedElement.querySelector('img');
-      }
-      
-      // Strategy 3: Image in parent elements
-      if (!img) {
-        let parent = clickedElement.parentElement;
-        for (let i = 0; i < 3 && parent; i++) {
-          img = parent.querySelector('img');
-          if (img) break;
-          parent = parent.parentElement;
-        }
-      }
-      
-      // Process valid image URLs
-      if (img && img.src) {
-        const imageUrl = img.src;
-        console.log('Found image URL:', imageUrl);
-        
-        // Validate image URL
-        if (imageUrl.startsWith('http') && 
-            (imageUrl.includes('googleusercontent') || 
-             imageUrl.includes('ggpht') || 
-             imageUrl.includes('images?') ||
-             imageUrl.match(/\.(jpg|jpeg|png|gif|webp)/i))) {
-          
-          console.log('Valid image URL, processing...');
-          event.preventDefault();
-          event.stopImmediatePropagation();
-          handleGoogleSearchImageClick(imageUrl, clickedElement);
-          return false;
-        }
-      }
-    };
-    
-    // Setup click listeners when search results are shown
-    if (showResults) {
-      console.log('Setting up Google search click handlers');
-      
-      // Remove existing listeners
-      document.removeEventListener('click', handleGoogleSearchClick, true);
-      
-      // Add click listeners with capture phase
-      document.addEventListener('click', handleGoogleSearchClick, true);
-      
-      // Cleanup function
-      return () => {
-        document.removeEventListener('click', handleGoogleSearchClick, true);
-      };
-    }
-  }, [showResults, handleGoogleSearchImageClick]);
-  const executeCseSearch = useCallback((query) => {
-    if (!query || !query.trim()) {
-      console.log('No query provided, skipping search');
-      setIsSearching(false);
-      return;
-    }
-    
-    if (!window.google?.search?.cse?.element) {
-      console.log('Google CSE not available yet');
-      setIsSearching(false);
-      return;
-    }
-    
+  // --- Image Search ---
+  const runSearch = async (query, page, filters) => {
     // Cancel previous search if in progress
     if (searchAbortController.current) {
       searchAbortController.current.abort();
     }
-    searchAbortController.current = new AbortController();
+    const controller = new AbortController();
+    searchAbortController.current = controller;
     
-    console.log('Executing search for:', query);
+    console.log('Executing search for:', query, 'page', page, filters);
     setIsSearching(true);
+    setSearchError(null);
     
     try {
-      // Create a fresh CSE element with unique name each time
-      const uniqueName = 'results_' + Date.now();
-      const cseElement = window.google.search.cse.element.render({ 
-        div: 'google-search-container', 
-        tag: 'searchresults-only',
-        gname: uniqueName,
-        attributes: { searchType: 'image', disableWebSearch: true } 
-      });
-      
-      if (cseElement && typeof cseElement.execute === 'function') {
-        cseElement.execute(query);
-        console.log('Search executed successfully for:', query);
-        // Set searching to false after a delay to allow results to load
-        setTimeout(() => {
-          if (!searchAbortController.current.signal.aborted) {
-            setIsSearching(false);
-          }
-        }, 1000);
-        
-        // Fallback: Force stop loading after 5 seconds if stuck
-        setTimeout(() => {
-          if (!searchAbortController.current.signal.aborted) {
-            console.log('Search timeout - forcing stop loading state');
-            setIsSearching(false);
-            setIsCSELoaded(true);
-          }
-        }, 5000);
-      } else {
-        console.error('CSE element or execute method not available');
-        setIsSearching(false);
-      }
+      const result = await searchImages(query, { page, filters, signal: controller.signal });
+      if (controller.signal.aborted) return;
+      setSearchResults(result.items);
+      setTotalResults(result.totalResults);
+      setTotalPages(result.totalPages);
+      console.log(`🔎 ${result.items.length} results on page ${page} of ${result.totalPages}`);
     } catch (err) {
-      console.error('executeCseSearch error:', err);
-      if (!searchAbortController.current.signal.aborted) {
+      if (err.name === 'AbortError') return;
+      console.error('Image search failed:', err);
+      setSearchResults([]);
+      setSearchError(err.message.includes('not configured')
+        ? 'Search is unavailable right now. You can still upload your own photo.'
+        : "We couldn't load results. Please check your connection and try again.");
+    } finally {
+      if (searchAbortController.current === controller) {
+        searchAbortController.current = null;
         setIsSearching(false);
       }
     }
-  }, []);
+  };
+  
+  const handlePageChange = (page) => {
+    setCurrentPage(page);
+    navigateTo(buildSearchPath(searchQuery, page, searchFilters));
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+  
+  // Filters narrow the current query; results start again from page 1
+  const applySearchFilters = (filters) => {
+    setSearchFilters(filters);
+    setCurrentPage(1);
+    navigateTo(buildSearchPath(searchQuery, 1, filters));
+  };
+  const handleFilterToggle = (id) => applySearchFilters(toggleFilter(searchFilters, id));
+  const handleClearFilters = () => applySearchFilters([]);
   
+  const retrySearch = () => {
+    pendingSearchQuery.current = `${searchQuery}|${currentPage}|${searchFilters.join(',')}`;
+    runSearch(searchQuery, currentPage, searchFilters);
+  };
 
-  const handleSearch = () => { 
-    if (searchInput.trim()) {
-      // Clear the search container
-      const container = document.getElementById('google-search-container');
-      if (container) {
-        container.innerHTML = '';
-      }
-      
+  const submitSearch = (term) => {
+    const query = term.trim();
+    if (query) {
       // Reset pendingSearchQuery to allow re-searching same terms
       pendingSearchQuery.current = null;
+      setSearchHistory(addToSearchHistory(query));
       
       // Set the actual search query to trigger the search
-      setSearchQuery(searchInput.trim());
+      setCurrentPage(1);
+      setSearchQuery(query);
       setShowResults(true); // This will trigger useEffect to handle the search
+      navigateTo(buildSearchPath(query, 1, searchFilters));
     }
   };
+  const handleSearch = () => submitSearch(searchInput);
+  
+  // --- Search Suggestions ---
+  const searchSuggestions = getSuggestions(searchInput, searchHistory, popularQueries);
+  const handleSuggestionSelect = (query) => {
+    setSearchInput(query);
+    submitSearch(query);
+  };
+  const handleClearSearchHistory = () => {
+    setSearchHistory(clearSearchHistory());
+  };
   const handleKeyDown = (e) => { 
     // Allow standard keyboard shortcuts (Ctrl+C, Ctrl+V, Ctrl+A, etc.)
     if (e.ctrlKey || e.metaKey) {
@@ -850,8 +1701,14 @@ export default function App() {
       return false;
     }
   };
-  const closeResults = () => setShowResults(false);
+  const closeResults = () => {
+    setShowResults(false);
+    navigateTo(gallery.length > 0 && gallery[selectedImageIndex].dbRecord
+      ? buildQuotePath(gallery[selectedImageIndex].dbRecord.rowid)
+      : '/');
+  };
 
+  // Fetch the current page of results whenever the query or page changes
   useEffect(() => {
     if (!showResults) return;
     
@@ -860,111 +1717,21 @@ export default function App() {
       setSearchInput(searchQuery);
     }
     
-    // Prevent double execution
-    if (isSearching) {
-      console.log('Already searching, skipping...');
-      return;
-    }
-    
     if (!searchQuery || !searchQuery.trim()) {
       console.log('No query to search');
       return;
     }
     
-    // Check if this is the same query to prevent duplicate searches
-    if (pendingSearchQuery.current === searchQuery) {
+    // Check if this is the same request to prevent duplicate searches
+    const requestKey = `${searchQuery}|${currentPage}|${searchFilters.join(',')}`;
+    if (pendingSearchQuery.current === requestKey) {
       console.log('Same query already processed, skipping...');
       return;
     }
     
-    pendingSearchQuery.current = searchQuery;
-    console.log('useEffect triggered for search:', searchQuery);
-    
-    // Small delay to ensure the search container is ready
-    const timeoutId = setTimeout(() => {
-      if (document.getElementById('google-cse-script')) {
-        console.log('CSE script already loaded, executing search');
-        setIsCSELoaded(true); // Ensure CSE loaded state is true
-        executeCseSearch(searchQuery);
-        return;
-      }
-      
-      console.log('Initializing Google CSE...');
-      // Initialize Google CSE if not already loaded
-      window.__gcse = { 
-        parsetags: 'explicit', 
-        callback: () => { 
-          console.log('Google CSE loaded successfully');
-          setIsCSELoaded(true); 
-          executeCseSearch(searchQuery); 
-        } 
-      };
-      
-      
-      const script = document.createElement('script');
-      script.id = 'google-cse-script';
-      script.async = true;
-      script.src = `https://cse.google.com/cse.js?cx=${SEARCH_ENGINE_ID}`;
-      script.onload = () => {
-        console.log('CSE script loaded');
-      };
-      document.head.appendChild(script);
-    }, 200);
-    
-    return () => {
-      clearTimeout(timeoutId);
-    };
-  }, [showResults, searchQuery, executeCseSearch]);
-
-  useEffect(() => {
-    if (!showResults) return;
-    const targetNode = document.getElementById('google-search-container');
-    if (!targetNode) return;
-    
-    const hideUnwantedElements = (node) => {
-      const selectors = '.gcse-result-tabs, .gsc-tabsArea, .gsc-above-wrapper-area, .gsc-above-wrapper-area-container';
-      node.querySelectorAll(selectors).forEach(el => el.style.display = 'none');
-    };
-    
-    const updatePaginationState = (node) => {
-      // Try to extract current page from Google CSE pagination
-      const currentPageElement = node.querySelector('.gsc-cursor-current-page');
-      if (currentPageElement) {
-        const pageNum = parseInt(currentPageElement.textContent) || 1;
-        setCurrentPage(pageNum);
-        console.log('Detected current page:', pageNum);
-      }
-      
-      // Try to extract total results (this is approximate since Google doesn't always show exact counts)
-      const resultsInfo = node.querySelector('.gsc-results');
-      if (resultsInfo) {
-        const allResults = resultsInfo.querySelectorAll('.gsc-result');
-        if (allResults.length > 0) {
-          setTotalResults(allResults.length);
-          console.log('Detected results count:', allResults.length);
-        }
-      }
-    };
-    
-    const observer = new MutationObserver((mutationsList) => {
-      for (const mutation of mutationsList) {
-        if (mutation.type === 'childList') {
-          mutation.addedNodes.forEach(node => {
-            if (node.nodeType === 1) {
-              hideUnwantedElements(node);
-              updatePaginationState(node);
-            }
-          });
-        }
-      }
-    });
-    
-    observer.observe(targetNode, { childList: true, subtree: true });
-    hideUnwantedElements(targetNode);
-    updatePaginationState(targetNode);
-    
-    return () => observer.disconnect();
-  }, [showResults]);
+    pendingSearchQuery.current = requestKey;
+    runSearch(searchQuery, currentPage, searchFilters);
+  }, [showResults, searchQuery, currentPage, searchFilters]);
 
   // --- Component Render ---
   return (
@@ -1004,38 +1771,35 @@ export default function App() {
                                   </svg>
                               </button>
                           </div>
-                          <div 
-                            onDragOver={handleDragOver} 
-                            onDrop={handleDrop} 
-                            onClick={() => processingState === 'idle' && document.getElementById('fileInput').click()} 
-                            className={`border-2 border-dashed border-gray-300 rounded-xl p-8 sm:p-12 text-center cursor-pointer hover:border-purple-400 hover:bg-purple-50 transition-all duration-300 min-h-[120px] ${
-                              processingState !== 'idle' ? 'opacity-50 cursor-not-allowed' : ''
-                            }`}
-                          >
-                              {processingState !== 'idle' ? (
+                          {processingState !== 'idle' ? (
+                            // First upload: real progress, and a way out
+                            <ProcessingIndicator 
+                              state={processingState}
+                              message={processingMessage}
+                              progress={uploadProgress}
+                              onCancel={processingState === 'uploading' ? handleCancelUpload : null}
+                            />
+                          ) : (
+                            <div 
+                              onDragOver={handleDragOver} 
+                              onDrop={handleDrop} 
+                              onClick={() => document.getElementById('fileInput').click()} 
+                              className="border-2 border-dashed border-gray-300 rounded-xl p-8 sm:p-12 text-center cursor-pointer hover:border-purple-400 hover:bg-purple-50 transition-all duration-300 min-h-[120px]"
+                            >
                                 <div className="mb-4">
-                                  <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-purple-500 mx-auto mb-4"></div>
-                                  <p className="text-purple-700 font-medium text-sm sm:text-base">
-                                    Uploading to Supabase...
-                                  </p>
+                                  <svg xmlns="http://www.w3.org/2000/svg" className="h-12 w-12 mx-auto text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
+                                  </svg>
                                 </div>
-                              ) : (
-                                <>
-                                  <div className="mb-4">
-                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-12 w-12 mx-auto text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 16a4 4 0 01-.88-7.903A5 5 0 1115.9 6L16 6a5 5 0 011 9.9M15 13l-3-3m0 0l-3 3m3-3v12" />
-                                    </svg>
-                                  </div>
-                                  <p className="text-gray-700 font-medium text-sm sm:text-base">
-                                    Drag an image here, paste, or <span className="text-blue-600 font-semibold">tap to upload</span>
-                                  </p>
-                                  <p className="text-gray-500 text-xs sm:text-sm mt-2">
-                                    Will be uploaded to Supabase storage
-                                  </p>
-                                </>
-                              )}
-                          </div>
-                          <input id="fileInput" type="file" accept="image/*" onChange={handleFileChange} className="hidden" disabled={processingState !== 'idle'} />
+                                <p className="text-gray-700 font-medium text-sm sm:text-base">
+                                  Drag images here, paste, or <span className="text-blue-600 font-semibold">tap to upload</span>
+                                </p>
+                                <p className="text-gray-500 text-xs sm:text-sm mt-2">
+                                  Up to {MAX_GALLERY_IMAGES} photos (front, top, topper close-up) • uploaded to Supabase storage
+                                </p>
+                            </div>
+                          )}
+                          <input id="fileInput" type="file" accept="image/*,.heic,.heif" multiple onChange={handleFileChange} className="hidden" disabled={processingState !== 'idle'} />
                       </div>
                    </div>
                ) : (
@@ -1046,14 +1810,16 @@ export default function App() {
                       {/* Search bar gets its own row */}
                       <div className="bg-white rounded-2xl shadow-xl p-2 border border-gray-200 hover:shadow-2xl transition-shadow duration-300">
                         <div className="flex items-center">
-                          <input 
-                            type="text" 
-                            value={searchInput} 
-                            onChange={(e) => setSearchInput(e.target.value)} 
-                            onKeyDown={handleKeyDown} 
-                            placeholder="Search for cake designs..." 
-                            className="flex-grow px-4 py-4 text-base outline-none rounded-xl bg-transparent" 
+                          <SearchAutocomplete
+                            value={searchInput}
+                            suggestions={searchSuggestions}
+                            onChange={setSearchInput}
+                            onKeyDown={handleKeyDown}
+                            onSelect={handleSuggestionSelect}
+                            onClearHistory={handleClearSearchHistory}
                             onPaste={handlePaste}
+                            className="flex-grow"
+                            inputClassName="px-4 py-4 text-base outline-none rounded-xl bg-transparent"
                           />
                           <button 
                             onClick={handleSearch} 
@@ -1082,14 +1848,16 @@ export default function App() {
                     
                     {/* Desktop Layout (original horizontal) */}
                     <div className="hidden md:flex bg-white rounded-full shadow-xl p-1 sm:p-2 items-center border border-gray-200 hover:shadow-2xl transition-shadow duration-300">
-                        <input 
-                          type="text" 
-                          value={searchInput} 
-                          onChange={(e) => setSearchInput(e.target.value)} 
-                          onKeyDown={handleKeyDown} 
-                          placeholder="Search for cake designs..." 
-                          className="flex-grow px-4 sm:px-6 py-3 sm:py-4 text-base sm:text-lg outline-none rounded-full bg-transparent" 
+                        <SearchAutocomplete
+                          value={searchInput}
+                          suggestions={searchSuggestions}
+                          onChange={setSearchInput}
+                          onKeyDown={handleKeyDown}
+                          onSelect={handleSuggestionSelect}
+                          onClearHistory={handleClearSearchHistory}
                           onPaste={handlePaste}
+                          className="flex-grow"
+                          inputClassName="px-4 sm:px-6 py-3 sm:py-4 text-base sm:text-lg outline-none rounded-full bg-transparent"
                         />
                         <button 
                           onClick={handleSearch} 
@@ -1113,6 +1881,30 @@ export default function App() {
                     </div>
                   </div>
                )}
+               
+               {/* Loading a shared quote link, or a photo pasted into the search box */}
+               {(processingState === 'processing' || (processingState === 'uploading' && !isUploadOpen)) && (
+                  <div className="mt-4">
+                    <ProcessingIndicator 
+                      state="uploading"
+                      message={processingMessage}
+                      progress={uploadProgress}
+                      onCancel={processingState === 'uploading' ? handleCancelUpload : null}
+                    />
+                  </div>
+               )}
+               
+               {error && (
+                  <div className="mt-4 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start justify-between gap-3">
+                    <p className="text-red-700 text-sm">{error}</p>
+                    <button 
+                      onClick={() => setError(null)} 
+                      className="text-red-600 hover:text-red-800 text-sm underline flex-shrink-0"
+                    >
+                      Dismiss
+                    </button>
+                  </div>
+               )}
             </div>
           )}
           
@@ -1142,24 +1934,53 @@ export default function App() {
                         <span className="text-green-700 text-xs font-medium">Uploaded to Supabase</span>
                       </div>
                     )}
+                    {!gallery[selectedImageIndex].publicUrl && gallery[selectedImageIndex].queueId && (
+                      <div className="flex items-center space-x-2 bg-amber-100 px-3 py-1 rounded-full">
+                        <div className="w-2 h-2 bg-amber-500 rounded-full animate-pulse"></div>
+                        <span className="text-amber-700 text-xs font-medium">Waiting to upload</span>
+                      </div>
+                    )}
+                    {!gallery[selectedImageIndex].publicUrl && !gallery[selectedImageIndex].queueId && gallery[selectedImageIndex].uploadFailed && (
+                      <div className="flex items-center space-x-2 bg-red-100 px-3 py-1 rounded-full">
+                        <div className="w-2 h-2 bg-red-500 rounded-full"></div>
+                        <span className="text-red-700 text-xs font-medium">Upload failed</span>
+                      </div>
+                    )}
                   </div>
                   
                   {/* Main Image */}
                   <img 
                     src={gallery[selectedImageIndex].dataUrl} 
+                    srcSet={getSrcSet(gallery[selectedImageIndex])}
+                    sizes="(min-width: 640px) 640px, 100vw"
                     alt="Selected cake" 
                     className="w-full h-80 object-cover rounded-lg mb-4" 
                   />
+                  
+                  {/* Reference photos: editable until pricing starts */}
+                  <ImageStrip
+                    images={gallery}
+                    selectedIndex={selectedImageIndex}
+                    maxImages={MAX_GALLERY_IMAGES}
+                    canEdit={!priceResult && processingState === 'idle'}
+                    onSelect={setSelectedImageIndex}
+                    onMove={handleMoveImage}
+                    onRemove={handleRemoveImage}
+                    onAdd={() => document.getElementById('addPhotoInput').click()}
+                  />
+                  <input id="addPhotoInput" type="file" accept="image/*,.heic,.heif" multiple onChange={handleFileChange} className="hidden" />
 
                   {/* Actions & Results */}
                   <div className="mt-4">
-                      {/* Show processing indicator during pricing calculation */}
-                      {processingState === 'processing' && (
+                      {/* Show processing indicator while adding photos or calculating the price */}
+                      {(processingState === 'processing' || processingState === 'uploading') && (
                           <div className="mb-4">
                               <ProcessingIndicator 
                                   state={processingState}
                                   message={processingMessage}
+                                  progress={uploadProgress}
                                   duration={40}
+                                  onCancel={processingState === 'uploading' ? handleCancelUpload : null}
                               />
                           </div>
                       )}
@@ -1167,6 +1988,11 @@ export default function App() {
                       {priceResult ? (
                           // Price Result View
                           <div className="text-left p-4 bg-green-50 rounded-lg border border-green-200">
+                             {priceResult.matchedPreviousQuote && (
+                                 <span className="inline-block mb-2 px-2 py-1 rounded-full bg-purple-100 text-purple-700 text-xs font-medium">
+                                     ♻️ Matched a previous quote
+                                 </span>
+                             )}
                              <h4 className="font-bold text-xl sm:text-2xl text-green-800 mb-2">Price-addon: {priceResult.priceAddon}</h4>
                              <div className="space-y-2 text-green-700">
                                  <p><span className="font-medium">Cake Design Details:</span> {priceResult.cakeDesignDetails}</p>
@@ -1174,6 +2000,49 @@ export default function App() {
                                  <p><span className="font-medium">Height:</span> {priceResult.height}</p>
                              </div>
                              
+                             {/* Size/price matrix once the AI addon is known */}
+                             {priceResult.hasRealData && (
+                                 <SizePriceMatrix
+                                     addonPrice={priceResult.addonPrice}
+                                     cakeType={selectedCakeType}
+                                     height={selectedHeight}
+                                     showBento={priceResult.showBento}
+                                     onCakeTypeChange={handleCakeTypeChange}
+                                     onHeightChange={setSelectedHeight}
+                                     onSizesLoaded={handleSizesLoaded}
+                                     renderSizeAction={renderCartAction}
+                                 />
+                             )}
+                             
+                             {priceResult.hasRealData && (
+                                 <CakeMessageForm
+                                     key={priceResult.rowId}
+                                     value={cakeMessage}
+                                     onChange={handleCakeMessageChange}
+                                 />
+                             )}
+                             
+                             {priceResult.hasRealData && (
+                                 <ScheduleForm
+                                     value={schedule}
+                                     onChange={setSchedule}
+                                     cakeType={selectedCakeType}
+                                     rules={schedulingRules}
+                                 />
+                             )}
+                             
+                             {cartStatus.state === 'error' && (
+                                 <div className="mt-3 p-3 bg-red-50 border border-red-200 rounded-lg flex items-start justify-between gap-3">
+                                     <p className="text-red-700 text-sm">{cartStatus.message}</p>
+                                     <button 
+                                         onClick={() => setCartStatus({ state: 'idle', size: null, message: '' })}
+                                         className="text-red-600 hover:text-red-800 text-sm underline flex-shrink-0"
+                                     >
+                                         Dismiss
+                                     </button>
+                                 </div>
+                             )}
+                             
                              {/* Show refresh button if data is not complete */}
                              {priceResult.needsRefresh && (
                                  <div className="mt-3">
@@ -1189,7 +2058,7 @@ export default function App() {
                              )}
                              
                              {/* Display UUID and Supabase confirmation */}
-                             {priceResult.rowId && (
+                             {priceResult.rowId && !priceResult.queued && (
                                  <div className="mt-3 p-3 bg-white rounded border border-green-300">
                                      <div className="flex items-center space-x-2 mb-2">
                                          <div className="w-2 h-2 bg-green-500 rounded-full"></div>
@@ -1205,11 +2074,33 @@ export default function App() {
                                              <span className="font-medium">Image URL:</span> <a href={priceResult.supabaseUrl} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline text-xs break-all">{priceResult.supabaseUrl}</a>
                                          </p>
                                      )}
+                                     <div className="mt-2 flex items-center gap-2">
+                                         <button 
+                                             onClick={handleShareQuote}
+                                             className="text-sm text-purple-600 hover:text-purple-800 font-medium underline"
+                                         >
+                                             Share this quote
+                                         </button>
+                                         {shareStatus && (
+                                             <span className="text-xs text-gray-600 break-all">{shareStatus}</span>
+                                         )}
+                                     </div>
                                  </div>
                              )}
                              
+                             {/* Feedback on the AI estimate */}
+                             {priceResult.hasRealData && priceResult.rowId && (
+                                 <QuoteFeedback
+                                     key={priceResult.rowId}
+                                     rowId={priceResult.rowId}
+                                     addonPrice={priceResult.addonPrice}
+                                     imageUrl={priceResult.supabaseUrl}
+                                     details={priceResult.cakeDesignDetails}
+                                 />
+                             )}
+                             
                               <button 
-                                onClick={() => {setPriceResult(null); setGallery([]);}} 
+                                onClick={handleStartOver} 
                                 className="mt-4 w-full bg-gray-200 text-gray-800 py-4 rounded-lg font-medium hover:bg-gray-300 active:scale-[0.98] transition-all duration-200 min-h-[48px]"
                               >
                                Start Over
@@ -1226,7 +2117,7 @@ export default function App() {
                                   {processingState !== 'idle' ? 'Calculating...' : 'Calculate Price with AI'}
                               </button>
                               <button 
-                                onClick={() => setGallery([])} 
+                                onClick={handleStartOver} 
                                 className="mt-2 text-sm text-gray-500 hover:text-gray-700"
                               >
                                 Clear image
@@ -1264,14 +2155,16 @@ export default function App() {
                 {/* Mobile Compact Search Bar */}
                 <div className="md:hidden bg-white rounded-2xl shadow-lg p-2 border border-gray-200">
                   <div className="flex items-center">
-                    <input 
-                      type="text" 
-                      value={searchInput} 
-                      onChange={(e) => setSearchInput(e.target.value)} 
-                      onKeyDown={handleKeyDown} 
-                      placeholder="Search for cake designs..." 
-                      className="flex-grow px-3 py-3 text-base outline-none rounded-xl bg-transparent" 
+                    <SearchAutocomplete
+                      value={searchInput}
+                      suggestions={searchSuggestions}
+                      onChange={setSearchInput}
+                      onKeyDown={handleKeyDown}
+                      onSelect={handleSuggestionSelect}
+                      onClearHistory={handleClearSearchHistory}
                       onPaste={handlePaste}
+                      className="flex-grow"
+                      inputClassName="px-3 py-3 text-base outline-none rounded-xl bg-transparent"
                     />
                     <button 
                       onClick={handleSearch} 
@@ -1296,14 +2189,16 @@ export default function App() {
                 
                 {/* Desktop Search Bar */}
                 <div className="hidden md:flex bg-white rounded-full shadow-xl p-1 sm:p-2 items-center border border-gray-200 hover:shadow-2xl transition-shadow duration-300">
-                    <input 
-                      type="text" 
-                      value={searchInput} 
-                      onChange={(e) => setSearchInput(e.target.value)} 
-                      onKeyDown={handleKeyDown} 
-                      placeholder="Search for cake designs..." 
-                      className="flex-grow px-4 sm:px-6 py-3 sm:py-4 text-base sm:text-lg outline-none rounded-full bg-transparent" 
+                    <SearchAutocomplete
+                      value={searchInput}
+                      suggestions={searchSuggestions}
+                      onChange={setSearchInput}
+                      onKeyDown={handleKeyDown}
+                      onSelect={handleSuggestionSelect}
+                      onClearHistory={handleClearSearchHistory}
                       onPaste={handlePaste}
+                      className="flex-grow"
+                      inputClassName="px-4 sm:px-6 py-3 sm:py-4 text-base sm:text-lg outline-none rounded-full bg-transparent"
                     />
                     <button 
                       onClick={handleSearch} 
@@ -1337,8 +2232,50 @@ export default function App() {
                   </h3>
                 </div>
                 
-                <div id="google-search-container" className="min-h-[300px] sm:min-h-[400px]"></div>
-                {isSearching && (
+                <SearchFilterChips
+                  activeIds={searchFilters}
+                  onToggle={handleFilterToggle}
+                  onClear={handleClearFilters}
+                />
+
+                {/* Copying a picked image into storage; Cancel keeps the results */}
+                {processingState === 'uploading' && (
+                  <div className="mb-4">
+                    <ProcessingIndicator
+                      state="uploading"
+                      message={processingMessage}
+                      progress={uploadProgress}
+                      onCancel={handleCancelUpload}
+                    />
+                  </div>
+                )}
+
+                {error && (
+                  <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg flex items-start justify-between gap-3">
+                    <p className="text-red-700 text-sm">{error}</p>
+                    <button
+                      onClick={() => setError(null)}
+                      className="text-red-600 hover:text-red-800 text-sm underline flex-shrink-0"
+                    >
+                      Dismiss
+                    </button>
+                  </div>
+                )}
+
+                <div className="min-h-[300px] sm:min-h-[400px]">
+                  <SearchResultsGrid
+                    results={searchResults}
+                    totalResults={totalResults}
+                    currentPage={currentPage}
+                    totalPages={totalPages}
+                    isSearching={isSearching}
+                    error={searchError}
+                    onSelect={handleSearchResultSelect}
+                    onPageChange={handlePageChange}
+                    onRetry={retrySearch}
+                  />
+                </div>
+                {isSearching && searchResults.length === 0 && (
                   <div className="text-center py-8 text-gray-500">
                     <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-pink-500 mx-auto mb-4"></div>
                     <p className="text-sm sm:text-base">Searching...</p>
@@ -1351,6 +2288,25 @@ export default function App() {
       </div>
 
       <div className="absolute bottom-6 text-gray-500 text-sm z-10">Made with ❤️ by Cake Genie • AI-Powered Cake Pricing</div>
+
+      {/* Crop & rotate, one photo at a time, before compression */}
+      {editorRequest && (
+        <ImageEditor
+          file={editorRequest.file}
+          title={`Crop & rotate${editorRequest.label}`}
+          minCropSize={MIN_DIMENSION}
+          onDone={closeEditor}
+          onCancel={() => closeEditor(null)}
+        />
+      )}
+      {qualityRequest && (
+        <PhotoQualityDialog
+          title={`Check this photo${qualityRequest.label}`}
+          warnings={qualityRequest.warnings}
+          onUseAnyway={() => closeQualityDialog(true)}
+          onSkip={() => closeQualityDialog(false)}
+        />
+      )}
     </div>
   );
 }
\ No newline at end of file
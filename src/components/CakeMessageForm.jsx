@@ -0,0 +1,49 @@
+// Cake message, candle/age number and celebrant name for the quote
+import { TextareaWithCounter, InputWithCounter } from './CharacterCounter.jsx';
+
+// Same 100-character limit as the Shopify page's cake-message textarea
+export const CAKE_MESSAGE_LIMITS = {
+  MESSAGE: 100,
+  CANDLE_NUMBER: 3,
+  NAME: 30
+};
+
+export const EMPTY_CAKE_MESSAGE = { message: '', candleNumber: '', name: '' };
+
+export function CakeMessageForm({ value = EMPTY_CAKE_MESSAGE, onChange = () => {} }) {
+  const update = (field) => (text) => onChange({ ...value, [field]: text });
+
+  return (
+    <div className="mt-4 p-4 bg-white rounded-lg border border-gray-200 space-y-3">
+      <TextareaWithCounter
+        label="Cake Message (Optional)"
+        hint='Add a personalized message for your cake (e.g., "Happy Birthday Sarah!", "Congratulations!")'
+        placeholder="Type your cake message here..."
+        maxLength={CAKE_MESSAGE_LIMITS.MESSAGE}
+        rows={2}
+        value={value.message}
+        onChange={update('message')}
+      />
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <InputWithCounter
+          label="Candle / Age Number"
+          placeholder="e.g. 18"
+          inputMode="numeric"
+          maxLength={CAKE_MESSAGE_LIMITS.CANDLE_NUMBER}
+          value={value.candleNumber}
+          onChange={update('candleNumber')}
+        />
+        <div className="sm:col-span-2">
+          <InputWithCounter
+            label="Celebrant's Name"
+            placeholder="e.g. Sarah"
+            maxLength={CAKE_MESSAGE_LIMITS.NAME}
+            value={value.name}
+            onChange={update('name')}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
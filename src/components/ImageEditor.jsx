@@ -0,0 +1,287 @@
+// Crop, rotate and straighten a photo before it's compressed and uploaded
+// Pointer events cover mouse and touch: drag the box to move it, drag a corner to resize
+import { useState, useEffect, useRef } from 'react';
+import { decodeImageFile } from '../utils/imageCompression.js';
+import {
+  EDIT_CONFIG,
+  EMPTY_EDIT,
+  FULL_CROP,
+  isEditUnchanged,
+  getRotatedSize,
+  getStraightenedCrop,
+  getCropForEdit,
+  drawEdit,
+  renderEditedFile
+} from '../utils/imageEdit.js';
+import { LoadingSpinner } from './ProgressBar.jsx';
+
+const CORNERS = ['nw', 'ne', 'sw', 'se'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Moves or resizes the crop by a pointer delta (fractions of the stage), inside limit:
+// the area without empty corners once the photo is straightened
+function applyDrag(start, mode, dx, dy, minW, minH, limit) {
+  const limitRight = limit.x + limit.width;
+  const limitBottom = limit.y + limit.height;
+  if (mode === 'move') {
+    return {
+      ...start,
+      x: clamp(start.x + dx, limit.x, limitRight - start.width),
+      y: clamp(start.y + dy, limit.y, limitBottom - start.height)
+    };
+  }
+
+  // The straightened area can be smaller than the minimum crop; it wins then
+  const minWidth = Math.min(minW, limit.width);
+  const minHeight = Math.min(minH, limit.height);
+  let left = start.x;
+  let top = start.y;
+  let right = start.x + start.width;
+  let bottom = start.y + start.height;
+  if (mode.includes('w')) left = clamp(left + dx, limit.x, right - minWidth);
+  if (mode.includes('e')) right = clamp(right + dx, left + minWidth, limitRight);
+  if (mode.includes('n')) top = clamp(top + dy, limit.y, bottom - minHeight);
+  if (mode.includes('s')) bottom = clamp(bottom + dy, top + minHeight, limitBottom);
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+export function ImageEditor({
+  file,
+  title = "Crop & rotate",
+  minCropSize = 200,
+  onDone = () => {},
+  onCancel = () => {}
+}) {
+  const [image, setImage] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [edit, setEdit] = useState(EMPTY_EDIT);
+  const [stageSize, setStageSize] = useState({ width: 0, height: 0 });
+  const [isSaving, setIsSaving] = useState(false);
+  const stageRef = useRef(null);
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+
+  // Decode once per file (HEIC included)
+  useEffect(() => {
+    let isCurrent = true;
+    setImage(null);
+    setLoadError(null);
+    setEdit(EMPTY_EDIT);
+
+    decodeImageFile(file)
+      .then(decoded => {
+        if (isCurrent) setImage(decoded);
+        else if (decoded.close) decoded.close();
+      })
+      .catch(error => {
+        console.error('Could not open photo for editing:', error);
+        if (isCurrent) setLoadError('This photo could not be opened for editing.');
+      });
+
+    return () => { isCurrent = false; };
+  }, [file]);
+
+  // Free the decoded bitmap when it's replaced or the editor closes
+  useEffect(() => () => {
+    if (image && image.close) image.close();
+  }, [image]);
+
+  // Fit the preview into the available space, and again when it changes (rotation, orientation)
+  useEffect(() => {
+    const stage = stageRef.current;
+    if (!stage) return;
+    const measure = () => setStageSize({ width: stage.clientWidth, height: stage.clientHeight });
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(stage);
+    return () => observer.disconnect();
+  }, []);
+
+  const bounds = image ? getRotatedSize(image.width, image.height, edit) : null;
+  const previewScale = bounds && stageSize.width
+    ? Math.min(stageSize.width / bounds.width, stageSize.height / bounds.height, 1)
+    : 0;
+
+  useEffect(() => {
+    if (!image || !previewScale || !canvasRef.current) return;
+    drawEdit(canvasRef.current, image, edit, previewScale, FULL_CROP);
+  }, [image, edit.rotation, edit.straighten, previewScale]);
+
+  const previewWidth = bounds ? bounds.width * previewScale : 0;
+  const previewHeight = bounds ? bounds.height * previewScale : 0;
+  // Smallest crop that still passes the minimum-dimension check
+  const minCropW = bounds ? Math.min(1, minCropSize / bounds.width) : 0;
+  const minCropH = bounds ? Math.min(1, minCropSize / bounds.height) : 0;
+
+  // The customer's crop is carried over, not reset
+  const handleRotate = (quarterTurns) => {
+    setEdit(prev => {
+      const next = { ...prev, rotation: (prev.rotation + quarterTurns + 4) % 4 };
+      return { ...next, crop: getCropForEdit(image.width, image.height, prev, next) };
+    });
+  };
+
+  const handleStraighten = (degrees) => {
+    setEdit(prev => {
+      const next = { ...prev, straighten: degrees };
+      return { ...next, crop: getCropForEdit(image.width, image.height, prev, next) };
+    });
+  };
+
+  const handlePointerDown = (mode) => (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragRef.current = {
+      mode,
+      startX: e.clientX,
+      startY: e.clientY,
+      startCrop: edit.crop,
+      limit: getStraightenedCrop(image.width, image.height, edit)
+    };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || !previewWidth) return;
+    const dx = (e.clientX - drag.startX) / previewWidth;
+    const dy = (e.clientY - drag.startY) / previewHeight;
+    setEdit(prev => ({
+      ...prev,
+      crop: applyDrag(drag.startCrop, drag.mode, dx, dy, minCropW, minCropH, drag.limit),
+      cropMoved: true
+    }));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleDone = async () => {
+    // Nothing changed: keep the original file (no extra re-encode)
+    if (isEditUnchanged(edit)) {
+      onDone(file);
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      onDone(await renderEditedFile(image, edit, file.name));
+    } catch (error) {
+      // Better the whole photo than none
+      console.error('Could not save edited photo, using the original:', error);
+      onDone(file);
+    }
+  };
+
+  const { crop } = edit;
+  const cropStyle = {
+    left: `${crop.x * 100}%`,
+    top: `${crop.y * 100}%`,
+    width: `${crop.width * 100}%`,
+    height: `${crop.height * 100}%`
+  };
+  const toolButtonClass = "px-3 py-2 rounded-lg bg-white/10 text-white text-sm font-medium hover:bg-white/20 active:scale-95 transition-all duration-200 min-h-[44px] disabled:opacity-50";
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/90 flex flex-col" role="dialog" aria-modal="true" aria-label={title}>
+      <div className="flex items-center justify-between px-4 py-3 text-white">
+        <h2 className="font-medium">{title}</h2>
+        <p className="text-xs text-white/70 hidden sm:block">Drag the box to the cake, drag a corner to resize</p>
+      </div>
+
+      <div ref={stageRef} className="flex-1 min-h-0 flex items-center justify-center px-4">
+        {!image && !loadError && <LoadingSpinner size="lg" />}
+        {loadError && <p className="text-white text-sm text-center">{loadError}</p>}
+        {image && previewScale > 0 && (
+          <div
+            className="relative"
+            style={{ width: previewWidth, height: previewHeight, touchAction: 'none' }}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+          >
+            <canvas ref={canvasRef} className="block w-full h-full" />
+
+            {/* Dim everything outside the crop; clipped so it doesn't cover the toolbar */}
+            <div className="absolute inset-0 overflow-hidden pointer-events-none">
+              <div className="absolute" style={{ ...cropStyle, boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.55)' }} />
+            </div>
+
+            {/* Crop box */}
+            <div
+              className="absolute border-2 border-white cursor-move"
+              style={cropStyle}
+              onPointerDown={handlePointerDown('move')}
+            >
+              {CORNERS.map(corner => (
+                <div
+                  key={corner}
+                  className={`absolute w-8 h-8 -m-4 flex items-center justify-center ${corner.includes('n') ? 'top-0' : 'bottom-0'} ${corner.includes('w') ? 'left-0' : 'right-0'}`}
+                  style={{ cursor: `${corner}-resize` }}
+                  onPointerDown={handlePointerDown(corner)}
+                >
+                  <span className="w-4 h-4 bg-white rounded-full shadow" />
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="px-4 py-3 space-y-3">
+        <div className="flex items-center justify-center gap-2">
+          <button type="button" onClick={() => handleRotate(-1)} disabled={!image} className={toolButtonClass} aria-label="Rotate left">
+            ⟲ Rotate
+          </button>
+          <button type="button" onClick={() => handleRotate(1)} disabled={!image} className={toolButtonClass} aria-label="Rotate right">
+            ⟳ Rotate
+          </button>
+          <button
+            type="button"
+            onClick={() => setEdit(EMPTY_EDIT)}
+            disabled={!image || isEditUnchanged(edit)}
+            className={toolButtonClass}
+          >
+            Reset
+          </button>
+        </div>
+
+        <label className="flex items-center gap-3 text-white text-sm max-w-md mx-auto">
+          <span className="flex-shrink-0">Straighten</span>
+          <input
+            type="range"
+            min={-EDIT_CONFIG.STRAIGHTEN_LIMIT}
+            max={EDIT_CONFIG.STRAIGHTEN_LIMIT}
+            step="0.5"
+            value={edit.straighten}
+            onChange={(e) => handleStraighten(Number(e.target.value))}
+            disabled={!image}
+            className="flex-1 accent-pink-500"
+          />
+          <span className="w-12 text-right tabular-nums">{edit.straighten}°</span>
+        </label>
+
+        <div className="flex gap-2 max-w-md mx-auto">
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={isSaving}
+            className="flex-1 px-4 py-3 rounded-lg border border-white/40 text-white font-medium hover:bg-white/10 active:scale-95 transition-all duration-200 min-h-[44px]"
+          >
+            Skip this photo
+          </button>
+          <button
+            type="button"
+            onClick={image ? handleDone : () => onDone(file)}
+            disabled={isSaving || (!image && !loadError)}
+            className="flex-1 bg-gradient-to-r from-pink-500 to-purple-500 text-white px-4 py-3 rounded-lg font-medium hover:opacity-90 active:scale-95 transition-all duration-200 disabled:opacity-50 min-h-[44px]"
+          >
+            {isSaving ? 'Saving...' : 'Use photo'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,95 @@
+// Thumbnail strip for the reference photos of one quote
+// Select, reorder and remove photos; the first photo is the main one
+import { getSrcSet } from '../utils/imageRenditions.js';
+
+export function ImageStrip({
+  images = [],
+  selectedIndex = 0,
+  maxImages = 5,
+  canEdit = true,
+  onSelect = () => {},
+  onMove = () => {},
+  onRemove = () => {},
+  onAdd = null
+}) {
+  if (images.length <= 1 && !(canEdit && onAdd)) return null;
+
+  return (
+    <div className="mb-4">
+      <div className="flex gap-2 overflow-x-auto pb-2" role="list" aria-label="Reference photos">
+        {images.map((image, index) => (
+          <div
+            key={image.id}
+            role="listitem"
+            className={`relative flex-shrink-0 w-20 h-20 rounded-lg overflow-hidden border-2 transition-colors duration-200 ${
+              index === selectedIndex ? "border-purple-500" : "border-transparent"
+            }`}
+          >
+            <button
+              type="button"
+              onClick={() => onSelect(index)}
+              className="w-full h-full"
+              aria-label={`Show photo ${index + 1}`}
+              aria-current={index === selectedIndex}
+            >
+              <img src={image.dataUrl} srcSet={getSrcSet(image)} sizes="80px" alt="" className="w-full h-full object-cover" />
+            </button>
+
+            {index === 0 && images.length > 1 && (
+              <span className="absolute top-1 left-1 bg-purple-500 text-white text-[10px] font-medium px-1.5 rounded">
+                Main
+              </span>
+            )}
+
+            {canEdit && (
+              <>
+                <button
+                  type="button"
+                  onClick={() => onRemove(index)}
+                  className="absolute top-1 right-1 w-6 h-6 rounded-full bg-white/90 text-gray-700 text-xs flex items-center justify-center shadow hover:bg-white"
+                  aria-label={`Remove photo ${index + 1}`}
+                >
+                  ✕
+                </button>
+                {images.length > 1 && (
+                  <div className="absolute bottom-1 inset-x-1 flex justify-between">
+                    <button
+                      type="button"
+                      onClick={() => onMove(index, index - 1)}
+                      disabled={index === 0}
+                      className="w-6 h-6 rounded-full bg-white/90 text-gray-700 text-xs shadow disabled:invisible"
+                      aria-label={`Move photo ${index + 1} earlier`}
+                    >
+                      ‹
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => onMove(index, index + 1)}
+                      disabled={index === images.length - 1}
+                      className="w-6 h-6 rounded-full bg-white/90 text-gray-700 text-xs shadow disabled:invisible"
+                      aria-label={`Move photo ${index + 1} later`}
+                    >
+                      ›
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        ))}
+
+        {canEdit && onAdd && images.length < maxImages && (
+          <button
+            type="button"
+            onClick={onAdd}
+            className="flex-shrink-0 w-20 h-20 rounded-lg border-2 border-dashed border-gray-300 text-gray-500 hover:border-purple-400 hover:bg-purple-50 transition-all duration-200 flex flex-col items-center justify-center text-xs"
+            aria-label="Add another photo"
+          >
+            <span className="text-2xl leading-none">+</span>
+            <span>{images.length}/{maxImages}</span>
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
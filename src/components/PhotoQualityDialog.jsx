@@ -0,0 +1,43 @@
+// Shows what's wrong with a photo before it's uploaded; the customer decides whether to keep it
+export function PhotoQualityDialog({
+  title = "Check this photo",
+  warnings = [],
+  onUseAnyway = () => {},
+  onSkip = () => {}
+}) {
+  return (
+    <div className="fixed inset-0 z-50 bg-black/50 flex items-center justify-center p-4" role="alertdialog" aria-modal="true" aria-labelledby="photo-quality-title">
+      <div className="bg-white rounded-2xl shadow-2xl p-5 sm:p-6 w-full max-w-sm animate-fade-in">
+        <h2 id="photo-quality-title" className="text-lg font-semibold text-gray-800 mb-3">{title}</h2>
+
+        <ul className="space-y-2 mb-5">
+          {warnings.map(warning => (
+            <li key={warning.code} className="flex items-start gap-2 text-sm text-gray-700">
+              <span className="text-amber-500 flex-shrink-0" aria-hidden="true">⚠️</span>
+              <span>{warning.message}</span>
+            </li>
+          ))}
+        </ul>
+        <p className="text-xs text-gray-500 mb-4">Clear, well-lit photos of the whole cake get the most accurate price.</p>
+
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onSkip}
+            className="flex-1 px-4 py-3 rounded-lg border border-gray-300 text-gray-700 font-medium hover:bg-gray-50 active:scale-95 transition-all duration-200 min-h-[44px]"
+          >
+            Choose another
+          </button>
+          <button
+            type="button"
+            onClick={onUseAnyway}
+            autoFocus
+            className="flex-1 bg-gradient-to-r from-pink-500 to-purple-500 text-white px-4 py-3 rounded-lg font-medium hover:opacity-90 active:scale-95 transition-all duration-200 min-h-[44px]"
+          >
+            Use anyway
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
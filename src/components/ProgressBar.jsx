@@ -87,7 +87,8 @@ export function ProcessingIndicator({
   state = "idle", // idle, uploading, processing, complete, error
   progress = 0,
   message = "",
-  duration = 30 
+  duration = 30,
+  onCancel = null
 }) {
   const getStateDisplay = () => {
     switch (state) {
@@ -95,7 +96,8 @@ export function ProcessingIndicator({
         return {
           icon: <LoadingSpinner size="sm" />,
           text: message || "Uploading image...",
-          showProgress: false
+          // Only real byte counts; there's no sensible timer for an upload
+          showProgress: progress > 0
         };
       case "processing":
         return {
@@ -103,6 +105,12 @@ export function ProcessingIndicator({
           text: message || "AI is analyzing your design...",
           showProgress: true
         };
+      case "queued":
+        return {
+          icon: <span className="text-amber-500 text-lg">⏳</span>,
+          text: message || "Saved. Will upload when you're back online",
+          showProgress: false
+        };
       case "complete":
         return {
           icon: <span className="text-green-500 text-lg">✓</span>,
@@ -127,7 +135,16 @@ export function ProcessingIndicator({
     <div className="bg-white rounded-lg p-4 shadow-lg border border-pink-100">
       <div className="flex items-center gap-3 mb-3">
         {display.icon}
-        <span className="text-gray-700 font-medium">{display.text}</span>
+        <span className="text-gray-700 font-medium flex-1">{display.text}</span>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="text-sm text-gray-500 hover:text-gray-700 underline flex-shrink-0"
+          >
+            Cancel
+          </button>
+        )}
       </div>
       
       {display.showProgress && (
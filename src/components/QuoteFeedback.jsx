@@ -0,0 +1,131 @@
+// Customer feedback on the AI estimate, saved against the quote's rowid
+import { useState } from 'react';
+import { submitQuoteFeedback } from '../supabase.js';
+import { TextareaWithCounter } from './CharacterCounter.jsx';
+
+const REMARKS_MAX_LENGTH = 500;
+
+export function QuoteFeedback({
+  rowId,
+  addonPrice = null,
+  imageUrl = "",
+  details = ""
+}) {
+  const [rating, setRating] = useState(null); // 'up' | 'down'
+  const [suggestedPrice, setSuggestedPrice] = useState('');
+  const [remarks, setRemarks] = useState('');
+  const [status, setStatus] = useState({ state: 'idle', message: '' }); // idle, saving, saved, error
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const trimmedRemarks = remarks.trim();
+    const price = suggestedPrice === '' ? null : Number(suggestedPrice);
+
+    if (!rating && !trimmedRemarks && price === null) {
+      setStatus({ state: 'error', message: 'Please rate the price or enter a comment.' });
+      return;
+    }
+    if (price !== null && (!Number.isFinite(price) || price < 0)) {
+      setStatus({ state: 'error', message: 'Please enter a valid amount.' });
+      return;
+    }
+
+    setStatus({ state: 'saving', message: 'Saving…' });
+    try {
+      await submitQuoteFeedback({
+        rowid: rowId,
+        rating,
+        suggestedPrice: price,
+        remarks: trimmedRemarks,
+        addonPrice,
+        imageUrl,
+        details
+      });
+      setStatus({ state: 'saved', message: 'Thanks! Your feedback has been saved.' });
+    } catch (error) {
+      setStatus({ state: 'error', message: 'Could not save your feedback. Please try again.' });
+    }
+  };
+
+  if (status.state === 'saved') {
+    return (
+      <div className="mt-4 p-3 bg-white rounded-lg border border-green-300 text-green-700 text-sm text-center">
+        ✓ {status.message}
+      </div>
+    );
+  }
+
+  const ratingButtonClass = (value) => `flex-1 px-4 py-3 rounded-lg border font-medium transition-all duration-200 active:scale-95 min-h-[44px] ${
+    rating === value
+      ? "bg-purple-100 border-purple-400 text-purple-700"
+      : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+  }`;
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4 p-4 bg-white rounded-lg border border-gray-200 space-y-3">
+      <div>
+        <p className="text-sm font-medium text-purple-600 mb-2">Does this price look right?</p>
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => setRating(rating === 'up' ? null : 'up')}
+            aria-pressed={rating === 'up'}
+            className={ratingButtonClass('up')}
+          >
+            👍 Looks right
+          </button>
+          <button
+            type="button"
+            onClick={() => setRating(rating === 'down' ? null : 'down')}
+            aria-pressed={rating === 'down'}
+            className={ratingButtonClass('down')}
+          >
+            👎 Seems off
+          </button>
+        </div>
+      </div>
+
+      <div>
+        <label htmlFor="suggested-price" className="block text-sm font-medium text-purple-600 mb-1">
+          I think this design should cost… (optional)
+        </label>
+        <div className="flex items-center border border-gray-300 rounded-lg bg-white focus-within:ring-2 focus-within:ring-purple-500">
+          <span className="pl-3 text-gray-500">₱</span>
+          <input
+            id="suggested-price"
+            type="number"
+            inputMode="numeric"
+            min="0"
+            step="1"
+            value={suggestedPrice}
+            onChange={(e) => setSuggestedPrice(e.target.value)}
+            placeholder="e.g. 1500"
+            className="w-full px-2 py-2 rounded-lg outline-none bg-transparent"
+          />
+        </div>
+      </div>
+
+      <TextareaWithCounter
+        label="Comments (optional)"
+        hint="Too expensive, too cheap, or just right? Problems? Improvements?"
+        placeholder="Type your comment here…"
+        maxLength={REMARKS_MAX_LENGTH}
+        rows={3}
+        onChange={setRemarks}
+      />
+
+      {status.state === 'error' && (
+        <p className="text-sm text-red-600">{status.message}</p>
+      )}
+
+      <button
+        type="submit"
+        disabled={status.state === 'saving'}
+        className="w-full bg-gray-800 text-white py-3 rounded-lg font-medium hover:bg-gray-700 active:scale-[0.98] transition-all duration-200 disabled:opacity-50 min-h-[44px]"
+      >
+        {status.state === 'saving' ? 'Saving…' : 'Send feedback'}
+      </button>
+    </form>
+  );
+}
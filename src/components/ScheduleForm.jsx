@@ -0,0 +1,109 @@
+// Pickup/delivery choice, branch, date and time for the quote
+import { OptionChip } from './SizePriceMatrix.jsx';
+import {
+  FULFILLMENT_METHODS,
+  getEarliestDate,
+  getLatestDate,
+  getLeadDays,
+  getTimeSlots,
+  validateSchedule
+} from '../utils/scheduling.js';
+
+export const EMPTY_SCHEDULE = { method: 'pickup', branch: '', date: '', time: '' };
+
+export function ScheduleForm({ value = EMPTY_SCHEDULE, onChange = () => {}, cakeType = "", rules }) {
+  const branches = rules.branches.filter(branch => branch[value.method]);
+  const earliest = value.branch ? getEarliestDate(cakeType, value.branch, rules) : null;
+  const slots = value.branch ? getTimeSlots(value.branch, rules) : [];
+  // Only complain once there's something to check
+  const error = value.branch && value.date && value.time ? validateSchedule(value, cakeType, rules) : null;
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const handleMethodChange = (method) => {
+    const branchStillOffers = rules.branches.some(branch => branch.branch === value.branch && branch[method]);
+    update({ method, branch: branchStillOffers ? value.branch : '' });
+  };
+
+  const handleBranchChange = (branchName) => {
+    // Store hours differ per branch, so the time has to be picked again
+    update({ branch: branchName, time: '' });
+  };
+
+  return (
+    <div id="schedule-form" className="mt-4 p-4 bg-white rounded-lg border border-gray-200 space-y-3">
+      <div>
+        <p className="text-sm font-medium text-purple-600 mb-2">Pickup or delivery</p>
+        <div className="flex flex-wrap gap-2">
+          {FULFILLMENT_METHODS.map(option => (
+            <OptionChip
+              key={option.value}
+              label={option.label}
+              active={value.method === option.value}
+              onClick={() => handleMethodChange(option.value)}
+            />
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <p className="text-sm font-medium text-purple-600 mb-2">Branch</p>
+        <div className="flex flex-wrap gap-2">
+          {branches.map(branch => (
+            <OptionChip
+              key={branch.branch}
+              label={branch.branch}
+              active={value.branch === branch.branch}
+              onClick={() => handleBranchChange(branch.branch)}
+            />
+          ))}
+        </div>
+      </div>
+
+      {value.branch && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div>
+            <label htmlFor="schedule-date" className="block text-sm font-medium text-purple-600 mb-1">
+              {value.method === 'pickup' ? 'Pickup date' : 'Delivery date'}
+            </label>
+            <input
+              id="schedule-date"
+              type="date"
+              min={earliest || undefined}
+              max={getLatestDate()}
+              value={value.date}
+              onChange={(e) => update({ date: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none min-h-[44px]"
+            />
+          </div>
+          <div>
+            <label htmlFor="schedule-time" className="block text-sm font-medium text-purple-600 mb-1">
+              {value.method === 'pickup' ? 'Pickup time' : 'Delivery time'}
+            </label>
+            <select
+              id="schedule-time"
+              value={value.time}
+              onChange={(e) => update({ time: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent outline-none bg-white min-h-[44px]"
+            >
+              <option value="">Choose a time</option>
+              {slots.map(slot => (
+                <option key={slot} value={slot}>{slot}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+
+      {value.branch && earliest && (
+        <p className="text-xs text-gray-500">
+          {cakeType || 'This cake'} needs {getLeadDays(cakeType, rules)} days to make. Earliest date: {earliest}.
+        </p>
+      )}
+
+      {error && (
+        <p className="text-sm text-red-600">{error}</p>
+      )}
+    </div>
+  );
+}
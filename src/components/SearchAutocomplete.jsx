@@ -0,0 +1,165 @@
+// Search input with a suggestions dropdown (recent and popular searches)
+// ARIA combobox: arrow keys move through suggestions, Enter picks one, Escape closes the list
+// "Clear search history" is the last option, so it can be reached from the keyboard too
+import { useId, useState } from 'react';
+
+const KIND_LABELS = {
+  recent: "Recent searches",
+  popular: "Popular designs"
+};
+
+export function SearchAutocomplete({
+  value = "",
+  suggestions = [],
+  placeholder = "Search for cake designs...",
+  className = "",
+  inputClassName = "",
+  onChange = () => {},
+  onKeyDown = () => {},
+  onPaste = undefined,
+  onSelect = () => {},
+  onClearHistory = () => {}
+}) {
+  const listId = useId();
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+
+  const showList = isOpen && suggestions.length > 0;
+  const optionId = (index) => `${listId}-option-${index}`;
+  const hasRecent = suggestions.some(suggestion => suggestion.kind === "recent");
+  // Index of the clear option, after the suggestions; -1 when there's no history
+  const clearIndex = hasRecent ? suggestions.length : -1;
+  const optionCount = suggestions.length + (hasRecent ? 1 : 0);
+
+  const close = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  const choose = (suggestion) => {
+    close();
+    onSelect(suggestion.text);
+  };
+
+  const clearHistory = () => {
+    onClearHistory();
+    setActiveIndex(-1);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      if (suggestions.length === 0) return;
+      e.preventDefault();
+      setIsOpen(true);
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      // Wraps through "nothing selected" (-1) so the typed text can be searched again
+      setActiveIndex(current => {
+        const next = current + step;
+        if (next >= optionCount) return -1;
+        if (next < -1) return optionCount - 1;
+        return next;
+      });
+      return;
+    }
+    if (e.key === "Enter" && showList && activeIndex >= 0) {
+      e.preventDefault();
+      if (activeIndex === clearIndex) {
+        clearHistory();
+      } else {
+        choose(suggestions[activeIndex]);
+      }
+      return;
+    }
+    if (e.key === "Escape" && showList) {
+      e.preventDefault();
+      close();
+      return;
+    }
+    if (e.key === "Enter" || e.key === "Tab") {
+      close();
+    }
+    onKeyDown(e);
+  };
+
+  const groups = Object.keys(KIND_LABELS)
+    .map(kind => ({ kind, items: suggestions.map((suggestion, index) => ({ suggestion, index })).filter(({ suggestion }) => suggestion.kind === kind) }))
+    .filter(group => group.items.length > 0);
+
+  return (
+    <div className={`relative ${className}`}>
+      <input
+        type="text"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-expanded={showList}
+        aria-controls={listId}
+        aria-activedescendant={showList && activeIndex >= 0 ? optionId(activeIndex) : undefined}
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setIsOpen(true);
+          setActiveIndex(-1);
+        }}
+        onFocus={() => setIsOpen(true)}
+        onBlur={close}
+        onKeyDown={handleKeyDown}
+        onPaste={onPaste}
+        placeholder={placeholder}
+        className={`w-full ${inputClassName}`}
+      />
+
+      <div
+        className={`absolute left-0 right-0 top-full mt-2 z-30 bg-white rounded-xl shadow-xl border border-gray-200 py-2 ${showList ? "" : "hidden"}`}
+        // Keep focus in the input so the click lands before blur closes the list
+        onMouseDown={(e) => e.preventDefault()}
+      >
+        <ul id={listId} role="listbox" aria-label="Search suggestions">
+          {groups.map(group => (
+            <li key={group.kind} role="presentation">
+              <div className="px-4 pt-1 pb-1 text-[11px] font-semibold uppercase tracking-wide text-gray-400" aria-hidden="true">
+                {KIND_LABELS[group.kind]}
+              </div>
+              <ul role="group" aria-label={KIND_LABELS[group.kind]}>
+                {group.items.map(({ suggestion, index }) => (
+                  <li
+                    key={`${suggestion.kind}-${suggestion.text}`}
+                    id={optionId(index)}
+                    role="option"
+                    aria-selected={index === activeIndex}
+                    onClick={() => choose(suggestion)}
+                    onMouseEnter={() => setActiveIndex(index)}
+                    className={`flex items-center gap-3 px-4 py-2.5 text-sm text-gray-700 cursor-pointer min-h-[44px] ${
+                      index === activeIndex ? "bg-purple-50 text-purple-700" : ""
+                    }`}
+                  >
+                    <span className="text-gray-400" aria-hidden="true">{suggestion.kind === "recent" ? "🕘" : "🔥"}</span>
+                    <span className="truncate">{suggestion.text}</span>
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+
+          {hasRecent && (
+            <li
+              id={optionId(clearIndex)}
+              role="option"
+              aria-selected={activeIndex === clearIndex}
+              onClick={clearHistory}
+              onMouseEnter={() => setActiveIndex(clearIndex)}
+              className={`flex items-center px-4 py-2 mt-1 border-t border-gray-100 text-xs text-purple-600 cursor-pointer min-h-[44px] ${
+                activeIndex === clearIndex ? "bg-purple-50 underline" : ""
+              }`}
+            >
+              Clear search history
+            </li>
+          )}
+        </ul>
+      </div>
+
+      <span className="sr-only" aria-live="polite">
+        {showList ? `${suggestions.length} suggestion${suggestions.length === 1 ? "" : "s"} available` : ""}
+      </span>
+    </div>
+  );
+}
@@ -0,0 +1,58 @@
+// Cake-style filters for the search results: chips to pick from and removable tags for the active ones
+import { OptionChip } from './SizePriceMatrix.jsx';
+import { SEARCH_FILTER_GROUPS, SEARCH_FILTERS, getFilters } from '../utils/searchFilters.js';
+
+export function SearchFilterChips({
+  activeIds = [],
+  disabled = false,
+  onToggle = () => {},
+  onClear = () => {}
+}) {
+  const activeFilters = getFilters(activeIds);
+
+  return (
+    <div className="mb-4 space-y-3">
+      {activeFilters.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2" aria-label="Active filters">
+          {activeFilters.map(filter => (
+            <span key={filter.id} className="inline-flex items-center gap-1 pl-3 pr-1 py-1 rounded-full bg-purple-100 text-purple-700 text-sm font-medium">
+              {filter.label}
+              <button
+                type="button"
+                onClick={() => onToggle(filter.id)}
+                disabled={disabled}
+                className="w-7 h-7 rounded-full flex items-center justify-center hover:bg-purple-200 disabled:opacity-50"
+                aria-label={`Remove filter: ${filter.label}`}
+              >
+                ✕
+              </button>
+            </span>
+          ))}
+          <button
+            type="button"
+            onClick={onClear}
+            disabled={disabled}
+            className="text-sm text-purple-600 hover:underline px-2 py-1 disabled:opacity-50"
+          >
+            Clear filters
+          </button>
+        </div>
+      )}
+
+      {SEARCH_FILTER_GROUPS.map(group => (
+        <div key={group.id} className="flex flex-wrap items-center gap-2" role="group" aria-label={group.label}>
+          <span className="text-xs font-semibold uppercase tracking-wide text-gray-400 mr-1">{group.label}</span>
+          {SEARCH_FILTERS.filter(filter => filter.group === group.id).map(filter => (
+            <OptionChip
+              key={filter.id}
+              label={filter.label}
+              active={activeIds.includes(filter.id)}
+              disabled={disabled}
+              onClick={() => onToggle(filter.id)}
+            />
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
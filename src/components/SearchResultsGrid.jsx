@@ -0,0 +1,131 @@
+// Image search results with pagination
+// Each result passes its original full-size image URL to onSelect; results from our own
+// shop and earlier quotes are tagged with their source
+const PAGE_WINDOW = 5; // Numbered page buttons shown around the current page
+
+const SOURCE_BADGES = {
+  shop: 'bg-pink-500 text-white',
+  history: 'bg-purple-500 text-white'
+};
+
+function getPageNumbers(currentPage, totalPages) {
+  const first = Math.max(1, Math.min(currentPage - Math.floor(PAGE_WINDOW / 2), totalPages - PAGE_WINDOW + 1));
+  const last = Math.min(totalPages, first + PAGE_WINDOW - 1);
+  return Array.from({ length: last - first + 1 }, (_, index) => first + index);
+}
+
+export function SearchResultsGrid({
+  results = [],
+  totalResults = 0,
+  currentPage = 1,
+  totalPages = 1,
+  isSearching = false,
+  error = null,
+  onSelect = () => {},
+  onPageChange = () => {},
+  onRetry = null
+}) {
+  if (error && !isSearching) {
+    return (
+      <div className="text-center py-12" role="alert">
+        <p className="text-sm sm:text-base text-red-600 mb-4">{error}</p>
+        {onRetry && (
+          <button
+            type="button"
+            onClick={onRetry}
+            className="px-4 py-2 rounded-lg bg-gradient-to-r from-pink-500 to-purple-500 text-white font-medium hover:opacity-90 active:scale-95 transition-all duration-200 min-h-[44px]"
+          >
+            Try again
+          </button>
+        )}
+      </div>
+    );
+  }
+
+  if (!isSearching && results.length === 0) {
+    return (
+      <div className="text-center py-12 text-gray-500">
+        <p className="text-sm sm:text-base">No designs found. Try different words, or upload your own photo.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div aria-busy={isSearching}>
+      {results.length > 0 && (
+        <p className="text-xs sm:text-sm text-gray-500 mb-3" aria-live="polite">
+          About {totalResults.toLocaleString()} results{totalPages > 1 ? ` · Page ${currentPage} of ${totalPages}` : ''}
+        </p>
+      )}
+
+      <ul className={`grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-5 gap-2 sm:gap-4 transition-opacity duration-200 ${isSearching ? 'opacity-50' : ''}`}>
+        {results.map(result => (
+          <li key={result.id}>
+            <button
+              type="button"
+              onClick={() => onSelect(result)}
+              disabled={isSearching}
+              className="group w-full text-left rounded-xl overflow-hidden border border-gray-200 hover:border-purple-400 hover:shadow-lg focus:outline-none focus:ring-2 focus:ring-purple-500 transition-all duration-200"
+              aria-label={`Use this design: ${result.title || 'search result'}`}
+            >
+              <div className="relative aspect-square bg-gray-100 overflow-hidden">
+                {result.source && result.source !== 'web' && (
+                  <span className={`absolute top-1 left-1 z-10 text-[10px] font-medium px-1.5 py-0.5 rounded ${SOURCE_BADGES[result.source] || 'bg-white/90 text-gray-700'}`}>
+                    {result.sourceLabel}
+                  </span>
+                )}
+                <img
+                  src={result.thumbnailUrl}
+                  alt=""
+                  loading="lazy"
+                  className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-200"
+                />
+              </div>
+              <div className="px-2 py-1.5">
+                <p className="text-xs text-gray-700 truncate">{result.title}</p>
+                <p className="text-[10px] text-gray-400 truncate">{result.displayLink}</p>
+              </div>
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {totalPages > 1 && (
+        <nav className="flex items-center justify-center gap-1 sm:gap-2 mt-6" aria-label="Search result pages">
+          <button
+            type="button"
+            onClick={() => onPageChange(currentPage - 1)}
+            disabled={currentPage <= 1 || isSearching}
+            className="px-3 py-2 rounded-lg text-sm text-gray-700 hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-transparent min-h-[44px]"
+          >
+            Previous
+          </button>
+          {getPageNumbers(currentPage, totalPages).map(page => (
+            <button
+              key={page}
+              type="button"
+              onClick={() => onPageChange(page)}
+              disabled={isSearching}
+              aria-current={page === currentPage ? 'page' : undefined}
+              className={`w-10 h-10 sm:w-11 sm:h-11 rounded-lg text-sm font-medium transition-colors duration-200 ${
+                page === currentPage
+                  ? 'bg-gradient-to-r from-pink-500 to-purple-500 text-white'
+                  : 'text-gray-700 hover:bg-gray-100'
+              }`}
+            >
+              {page}
+            </button>
+          ))}
+          <button
+            type="button"
+            onClick={() => onPageChange(currentPage + 1)}
+            disabled={currentPage >= totalPages || isSearching}
+            className="px-3 py-2 rounded-lg text-sm text-gray-700 hover:bg-gray-100 disabled:opacity-40 disabled:hover:bg-transparent min-h-[44px]"
+          >
+            Next
+          </button>
+        </nav>
+      )}
+    </div>
+  );
+}
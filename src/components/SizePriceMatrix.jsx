@@ -0,0 +1,136 @@
+// Size/price matrix for the quote: cake type chips, height chips and size rows
+import { useState, useEffect } from 'react';
+import { fetchProductSizes } from '../supabase.js';
+import { getCakeTypeOptions, getAllowedHeights, computeSizeTotal, ADDON_LIMIT } from '../utils/cakeOptions.js';
+import { LoadingSpinner } from './ProgressBar.jsx';
+
+// Selectable chip used for cake type and height
+export function OptionChip({ label, active = false, onClick, disabled = false }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={disabled}
+      aria-pressed={active}
+      className={`px-3 py-2 rounded-full text-sm font-medium border transition-all duration-200 min-h-[40px] active:scale-95 disabled:opacity-50 ${
+        active
+          ? "bg-gradient-to-r from-pink-500 to-purple-500 text-white border-transparent"
+          : "bg-white text-gray-700 border-gray-300 hover:border-purple-400 hover:bg-purple-50"
+      }`}
+    >
+      {label}
+    </button>
+  );
+}
+
+// Full quote: every size for the selected type/height with base price + addon
+export function SizePriceMatrix({
+  addonPrice = 0,
+  cakeType = "",
+  height = "",
+  showBento = false,
+  onCakeTypeChange = () => {},
+  onHeightChange = () => {},
+  onSizesLoaded = null,
+  renderSizeAction = null
+}) {
+  const [sizes, setSizes] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    if (!cakeType || !height) {
+      setSizes([]);
+      return;
+    }
+
+    // Ignore responses for a combination the customer already moved away from
+    let isCurrent = true;
+    setIsLoading(true);
+    setLoadError(null);
+
+    fetchProductSizes(cakeType, height)
+      .then(rows => {
+        if (!isCurrent) return;
+        setSizes(rows);
+        if (onSizesLoaded) onSizesLoaded(rows, { cakeType, height });
+      })
+      .catch(error => {
+        if (isCurrent) {
+          setSizes([]);
+          setLoadError(error.message || 'Error loading sizes.');
+        }
+      })
+      .finally(() => {
+        if (isCurrent) setIsLoading(false);
+      });
+
+    return () => { isCurrent = false; };
+    // onSizesLoaded is a notification only; re-fetching when it changes identity would loop
+  }, [cakeType, height]);
+
+  if (Number(addonPrice) > ADDON_LIMIT) {
+    return (
+      <div className="mt-4 p-3 bg-orange-50 border border-orange-200 rounded-lg text-orange-800 text-sm">
+        This design appears complex and requires a manual quote. Please chat with our Cake Consultants to proceed.
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-4 space-y-4">
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Cake Type (Default Icing: Soft Icing)</p>
+        <div className="flex flex-wrap gap-2">
+          {getCakeTypeOptions(showBento).map(option => (
+            <OptionChip
+              key={option}
+              label={option}
+              active={option === cakeType}
+              onClick={() => onCakeTypeChange(option)}
+            />
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-2">Height auto-picks for each cake type. You can still change it.</p>
+        <div className="flex flex-wrap gap-2">
+          {getAllowedHeights(cakeType).map(option => (
+            <OptionChip
+              key={option}
+              label={option}
+              active={option === height}
+              onClick={() => onHeightChange(option)}
+            />
+          ))}
+        </div>
+      </div>
+
+      <div className="bg-white rounded-lg border border-gray-200 divide-y divide-gray-100">
+        {isLoading ? (
+          <div className="flex justify-center py-6">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : loadError ? (
+          <p className="p-3 text-sm text-red-600">Error loading sizes. Please try again.</p>
+        ) : sizes.length === 0 ? (
+          <p className="p-3 text-sm text-gray-600">
+            No match for <span className="font-semibold">{cakeType}</span> • <span className="font-semibold">{height}</span>.
+          </p>
+        ) : (
+          sizes.map(row => {
+            const total = computeSizeTotal(row.price, addonPrice);
+            return (
+              <div key={row.cakesize} className="flex items-center gap-3 p-3">
+                <span className="font-semibold text-gray-800">{row.cakesize}</span>
+                <span className="ml-auto font-bold text-green-800">₱{total}</span>
+                {renderSizeAction && renderSizeAction({ size: row.cakesize, basePrice: Number(row.price || 0), total })}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+}
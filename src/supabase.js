@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js'
+import { uploadResumable } from './utils/resumableUpload.js'
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_ANON_KEY
@@ -52,8 +53,38 @@ export const getSupabaseHealth = () => {
 // For backward compatibility
 export const supabase = getSupabaseClient();
 
+// Storage path for a new upload, e.g. uploads/1718000000000-k3j9x.webp
+export const createUploadPath = (file) => {
+  // Safe file name handling with null checks; compressed blobs have no name, only a type
+  const fileName = file.name;
+  const fileExt = fileName && typeof fileName === 'string' ? 
+    (fileName.split('.').pop() || 'jpg') :
+    ((file.type || '').split('/')[1] || 'jpg').replace('jpeg', 'jpg');
+  return `uploads/${Date.now()}-${Math.random().toString(36).substring(7)}.${fileExt}`;
+};
+
+// New uploadpricing2 row id (matching Shopify implementation)
+export const createRowId = () => crypto.randomUUID ? crypto.randomUUID() : 
+  'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
+    const r = Math.random()*16|0, v = c==='x' ? r : (r&0x3|0x8); 
+    return v.toString(16);
+  });
+
+// Endpoints and headers for uploading without the JS client (the upload service worker)
+export const getRestEndpoints = () => ({
+  storage: `${supabaseUrl}/storage/v1/object`,
+  rest: `${supabaseUrl}/rest/v1`,
+  bucket: 'uploadopenai',
+  headers: {
+    apikey: supabaseAnonKey,
+    authorization: `Bearer ${supabaseAnonKey}`
+  }
+});
+
 // Helper function to upload image to Supabase Storage
-export const uploadImageToSupabase = async (file) => {
+// Uses resumable (TUS) uploads; options: { signal, onProgress, onPause, onResume }
+// objectPath (optional) fixes the storage path, so a retried upload overwrites instead of duplicating
+export const uploadImageToSupabase = async (file, { objectPath = null, ...options } = {}) => {
   const supabaseClient = getSupabaseClient();
   
   if (!supabaseClient) {
@@ -62,21 +93,24 @@ export const uploadImageToSupabase = async (file) => {
   }
   
   try {
-    // Safe file name handling with null checks
-    const fileName = file.name || 'image';
-    const fileExt = fileName && typeof fileName === 'string' ? 
-      (fileName.split('.').pop() || 'jpg') : 'jpg';
-    const uniqueFileName = `${Date.now()}-${Math.random().toString(36).substring(7)}.${fileExt}`;
-    const filePath = `uploads/${uniqueFileName}`;
+    const filePath = objectPath || createUploadPath(file);
 
-    // Upload file to Supabase Storage
-    const { data: uploadData, error: uploadError } = await supabaseClient.storage
-      .from('uploadopenai')
-      .upload(filePath, file)
-
-    if (uploadError) {
-      throw uploadError
-    }
+    // Upload file to Supabase Storage in resumable chunks
+    await uploadResumable(file, {
+      endpoint: `${supabaseUrl}/storage/v1/upload/resumable`,
+      headers: {
+        authorization: `Bearer ${supabaseAnonKey}`,
+        apikey: supabaseAnonKey,
+        'x-upsert': objectPath ? 'true' : 'false'
+      },
+      metadata: {
+        bucketName: 'uploadopenai',
+        objectName: filePath,
+        contentType: file.type || 'image/jpeg',
+        cacheControl: '3600'
+      },
+      ...options
+    });
 
     // Get public URL for the uploaded file
     const { data: urlData } = supabaseClient.storage
@@ -84,17 +118,74 @@ export const uploadImageToSupabase = async (file) => {
       .getPublicUrl(filePath)
 
     return {
-      filePath: uploadData.path,
+      filePath,
       publicUrl: urlData.publicUrl
     }
   } catch (error) {
-    console.error('Error uploading image:', error)
+    if (error.name !== 'AbortError') {
+      console.error('Error uploading image:', error)
+    }
     throw error
   }
 }
 
+// Rendition paths sit next to the main file: uploads/<name>.webp -> uploads/<name>-thumb.webp
+export const getRenditionPath = (filePath, name, ext) => `${filePath.replace(/\.[^./]+$/, '')}-${name}.${ext}`;
+
+// Pixel widths of a photo and its renditions, { full, thumb, medium }, for srcset `w` descriptors
+export const getRenditionWidths = (renditions = {}) => {
+  const widths = { full: null };
+  Object.entries(renditions).forEach(([name, rendition]) => {
+    widths[name] = rendition.width || null;
+    widths.full = widths.full || rendition.fullWidth || null;
+  });
+  return widths;
+};
+
+// Helper function to upload the smaller renditions of an uploaded photo
+// renditions: { thumb: { blob, ext, width, fullWidth }, medium: ... } from compression
+// Resolves with { thumb: url, medium: url, widths: { full, thumb, medium } } (pixel widths, for srcset)
+export const uploadImageRenditions = async (filePath, renditions = {}) => {
+  const supabaseClient = getSupabaseClient();
+  
+  if (!supabaseClient) {
+    const healthCheck = getSupabaseHealth();
+    throw new Error(`Supabase is not configured properly. Issues: ${healthCheck.errors.join(', ')}. Please check your environment variables.`);
+  }
+  
+  try {
+    const urls = { widths: getRenditionWidths(renditions) };
+    // Renditions are small; a plain upload is enough
+    await Promise.all(Object.entries(renditions).map(async ([name, rendition]) => {
+      const path = getRenditionPath(filePath, name, rendition.ext);
+      const { error } = await supabaseClient.storage
+        .from('uploadopenai')
+        .upload(path, rendition.blob, {
+          contentType: rendition.blob.type || 'image/jpeg',
+          cacheControl: '3600',
+          upsert: true // A queued retry may find an earlier attempt's copy
+        });
+
+      if (error) {
+        throw error;
+      }
+      urls[name] = supabaseClient.storage.from('uploadopenai').getPublicUrl(path).data.publicUrl;
+    }));
+    return urls;
+  } catch (error) {
+    console.error('Error uploading image renditions:', error);
+    throw error;
+  }
+};
+
+// Numbers every pricing channel: supabase.channel() hands back a channel with the same topic
+// while it is still leaving, and subscribing that one again does nothing
+let pricingChannelCount = 0;
+
 // Helper function to listen for database updates on a specific row
-export const listenForPricingUpdates = (rowid, onUpdate) => {
+// onStatus receives the channel status (SUBSCRIBED, CHANNEL_ERROR, TIMED_OUT, CLOSED)
+// Each call gets its own channel, so a resubscribe never waits on the old one's removal
+export const listenForPricingUpdates = (rowid, onUpdate, onStatus = null) => {
   const supabaseClient = getSupabaseClient();
   
   if (!supabaseClient) {
@@ -104,7 +195,7 @@ export const listenForPricingUpdates = (rowid, onUpdate) => {
   }
   
   const channel = supabaseClient
-    .channel(`pricing-watch-${rowid}`)
+    .channel(`pricing-watch-${rowid}-${++pricingChannelCount}`)
     .on(
       'postgres_changes',
       {
@@ -121,7 +212,11 @@ export const listenForPricingUpdates = (rowid, onUpdate) => {
         }
       }
     )
-    .subscribe();
+    .subscribe((status, err) => {
+      if (onStatus) {
+        onStatus(status, err);
+      }
+    });
     
   return channel;
 };
@@ -138,7 +233,7 @@ export const fetchPricingData = async (rowid) => {
   try {
     const { data, error } = await supabaseClient
       .from('uploadpricing2')
-      .select('rowid, image, priceaddon, infoaddon, type, thickness, keyword')
+      .select('rowid, image, images, imagethumbs, imagemediums, imagewidths, priceaddon, infoaddon, type, thickness, keyword, cakemessage, candlenumber, celebrantname')
       .eq('rowid', rowid)
       .single();
       
@@ -153,6 +248,39 @@ export const fetchPricingData = async (rowid) => {
   }
 };
 
+// Columns of a priced design that may be shown to other customers: photos and price only.
+// cakemessage, candlenumber, celebrantname (and anything else about the customer) stay out
+const DESIGN_COLUMNS = 'rowid, image, images, imagethumbs, imagemediums, imagewidths, imagehash, priceaddon, infoaddon, type, thickness, keyword';
+
+// Helper function to fetch a design an admin opted into search (searchable), for starting a new quote from it
+export const fetchPricedDesign = async (rowid) => {
+  const supabaseClient = getSupabaseClient();
+  
+  if (!supabaseClient) {
+    const healthCheck = getSupabaseHealth();
+    throw new Error(`Supabase is not configured properly. Issues: ${healthCheck.errors.join(', ')}. Please check your environment variables.`);
+  }
+  
+  try {
+    const { data, error } = await supabaseClient
+      .from('uploadpricing2')
+      .select(DESIGN_COLUMNS)
+      .eq('rowid', rowid)
+      .eq('searchable', true)
+      .not('priceaddon', 'is', null)
+      .single();
+      
+    if (error) {
+      throw error;
+    }
+    
+    return data;
+  } catch (error) {
+    console.error('Error fetching priced design:', error);
+    throw error;
+  }
+};
+
 // Helper function to cleanup realtime subscriptions
 export const cleanupChannel = (channel) => {
   if (channel) {
@@ -163,8 +291,56 @@ export const cleanupChannel = (channel) => {
   }
 };
 
-// Helper function to save image data to database
-export const saveImageToDatabase = async (imageUrl, fileName = null) => {
+// Helper function to build the photo columns of an uploadpricing2 row
+// imageUrls holds every reference photo of the quote; imageUrl is the main one
+// renditionUrls: { thumb: [...], medium: [...], widths: [...] } in the same order as imageUrls
+// public/upload-sw.js can't import this and writes the same columns itself; keep the two in step
+export const buildPhotoColumns = (imageUrl, imageUrls = null, renditionUrls = null) => ({
+  image: imageUrl,
+  images: imageUrls && imageUrls.length > 0 ? imageUrls : [imageUrl],
+  // Thumbnail/medium URLs and pixel widths in the same order as images (null where there is none)
+  ...(renditionUrls && {
+    imagethumbs: renditionUrls.thumb,
+    imagemediums: renditionUrls.medium,
+    imagewidths: renditionUrls.widths
+  })
+});
+
+// Helper function to build an uploadpricing2 row; every insert (including queued ones) goes through here
+// Without imageUrl the photo columns are left out: queued quotes store this row and add them once uploaded
+// rowid is only passed for queued quotes, whose id was handed out before the insert
+// sourceUrl is the web address a search result was copied from into our storage
+// copyPriceFrom is an already-priced row whose price the new row takes over; nothing else is copied
+export const buildQuoteRow = ({
+  imageUrl = null,
+  imageUrls = null,
+  fileName = null,
+  imageHash = null,
+  renditionUrls = null,
+  rowid = createRowId(),
+  sourceUrl = null,
+  copyPriceFrom = null
+}) => ({
+  rowid,
+  ...(imageUrl && buildPhotoColumns(imageUrl, imageUrls, renditionUrls)),
+  // Store original filename if available
+  keyword: fileName && typeof fileName === 'string' ? fileName : 'uploaded_image',
+  // Perceptual hash of the main photo, for duplicate lookups
+  imagehash: imageHash,
+  ...(sourceUrl && { sourceurl: sourceUrl }),
+  ...(copyPriceFrom && {
+    priceaddon: copyPriceFrom.priceaddon,
+    infoaddon: copyPriceFrom.infoaddon,
+    type: copyPriceFrom.type,
+    thickness: copyPriceFrom.thickness
+  })
+});
+
+// Helper function to save image data to database; takes the options of buildQuoteRow
+export const saveImageToDatabase = async (options) => insertQuoteRow(buildQuoteRow(options));
+
+// Helper function to insert a row built by buildQuoteRow
+export const insertQuoteRow = async (row) => {
   const supabaseClient = getSupabaseClient();
   
   if (!supabaseClient) {
@@ -173,26 +349,9 @@ export const saveImageToDatabase = async (imageUrl, fileName = null) => {
   }
   
   try {
-    // Generate UUID for rowid (matching Shopify implementation)
-    const rowid = crypto.randomUUID ? crypto.randomUUID() : 
-      'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
-        const r = Math.random()*16|0, v = c==='x' ? r : (r&0x3|0x8); 
-        return v.toString(16);
-      });
-    
-    // Safe filename handling
-    const safeName = fileName && typeof fileName === 'string' ? fileName : 'uploaded_image';
-    
     const { data, error } = await supabaseClient
       .from('uploadpricing2')
-      .insert([
-        {
-          rowid: rowid,
-          image: imageUrl,
-          // Store original filename if available
-          keyword: safeName
-        }
-      ])
+      .insert([row])
       .select()
 
     if (error) {
@@ -209,4 +368,401 @@ export const saveImageToDatabase = async (imageUrl, fileName = null) => {
     console.error('Error saving to database:', error)
     throw error
   }
-}
\ No newline at end of file
+}
+
+// Helper function to update the reference photos of an existing quote row
+export const updateQuoteImages = async (rowid, imageUrls, renditionUrls = null) => {
+  const supabaseClient = getSupabaseClient();
+  
+  if (!supabaseClient) {
+    const healthCheck = getSupabaseHealth();
+    throw new Error(`Supabase is not configured properly. Issues: ${healthCheck.errors.join(', ')}. Please check your environment variables.`);
+  }
+  
+  try {
+    const { error } = await supabaseClient
+      .from('uploadpricing2')
+      .update(buildPhotoColumns(imageUrls[0], imageUrls, renditionUrls))
+      .eq('rowid', rowid);
+
+    if (error) {
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error updating quote images:', error);
+    throw error;
+  }
+};
+
+// Helper function to save the cake message details on a quote row
+export const updateQuoteMessage = async (rowid, { message = '', candleNumber = '', name = '' }) => {
+  const supabaseClient = getSupabaseClient();
+  
+  if (!supabaseClient) {
+    const healthCheck = getSupabaseHealth();
+    throw new Error(`Supabase is not configured properly. Issues: ${healthCheck.errors.join(', ')}. Please check your environment variables.`);
+  }
+  
+  try {
+    const { error } = await supabaseClient
+      .from('uploadpricing2')
+      .update({ cakemessage: message, candlenumber: candleNumber, celebrantname: name })
+      .eq('rowid', rowid);
+
+    if (error) {
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error saving cake message:', error);
+    throw error;
+  }
+};
+
+// Helper function to delete a quote row nobody will use (cancelled right after it was created)
+export const deleteQuoteRow = async (rowid) => {
+  const supabaseClient = getSupabaseClient();
+  
+  if (!supabaseClient) {
+    const healthCheck = getSupabaseHealth();
+    throw new Error(`Supabase is not configured properly. Issues: ${healthCheck.errors.join(', ')}. Please check your environment variables.`);
+  }
+  
+  try {
+    const { error } = await supabaseClient
+      .from('uploadpricing2')
+      .delete()
+      .eq('rowid', rowid);
+
+    if (error) {
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error deleting quote row:', error);
+    throw error;
+  }
+};
+
+// Helper function to delete stored photos nobody will use (a copy the customer cancelled)
+export const removeStoredImages = async (paths) => {
+  const supabaseClient = getSupabaseClient();
+  
+  if (!supabaseClient) {
+    const healthCheck = getSupabaseHealth();
+    throw new Error(`Supabase is not configured properly. Issues: ${healthCheck.errors.join(', ')}. Please check your environment variables.`);
+  }
+  
+  try {
+    const { error } = await supabaseClient.storage
+      .from('uploadopenai')
+      .remove(paths);
+
+    if (error) {
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error removing stored images:', error);
+    throw error;
+  }
+};
+
+// Columns of a matched row a new quote may see: the price only, nothing about the earlier customer
+const MATCH_COLUMNS = 'rowid, priceaddon, infoaddon, type, thickness, imagehash';
+
+// Helper function to find already-priced rows whose main photo looks the same
+// Uses the matchimagehash function (Hamming distance on imagehash); exact matches only without it
+// Only rows an admin opted in (searchable = true) can match
+export const findPricedRowsByImageHash = async (imageHash, maxDistance = 0) => {
+  const supabaseClient = getSupabaseClient();
+  
+  if (!supabaseClient) {
+    const healthCheck = getSupabaseHealth();
+    throw new Error(`Supabase is not configured properly. Issues: ${healthCheck.errors.join(', ')}. Please check your environment variables.`);
+  }
+  
+  try {
+    const { data, error } = await supabaseClient
+      .rpc('matchimagehash', { hash: imageHash, maxdistance: maxDistance });
+
+    if (!error) {
+      return data || [];
+    }
+    console.warn('matchimagehash unavailable, falling back to exact hash match:', error.message);
+
+    const { data: exactRows, error: exactError } = await supabaseClient
+      .from('uploadpricing2')
+      .select(MATCH_COLUMNS)
+      .eq('imagehash', imageHash)
+      .eq('searchable', true)
+      .not('priceaddon', 'is', null)
+      .limit(5);
+
+    if (exactError) {
+      throw exactError;
+    }
+
+    return exactRows || [];
+  } catch (error) {
+    console.error('Error finding duplicate quotes:', error);
+    throw error;
+  }
+};
+
+// Helper function to search already-priced designs by keyword or AI description
+// Only rows an admin opted in (searchable = true) are searched; other customers' quotes never show up
+// Resolves with { rows, count }; types limits the cake types, every extra term must match too,
+// and offset/limit page through the matches
+export const searchPricedDesigns = async (term, { offset = 0, limit = 10, types = null, terms = [] } = {}) => {
+  const supabaseClient = getSupabaseClient();
+  
+  if (!supabaseClient) {
+    const healthCheck = getSupabaseHealth();
+    throw new Error(`Supabase is not configured properly. Issues: ${healthCheck.errors.join(', ')}. Please check your environment variables.`);
+  }
+  
+  // Characters with a meaning in PostgREST filters
+  const toPattern = (text) => `*${text.replace(/[,()*%"\\]/g, ' ').trim()}*`;
+  
+  try {
+    let query = supabaseClient
+      .from('uploadpricing2')
+      .select(DESIGN_COLUMNS, { count: 'exact' })
+      .eq('searchable', true)
+      .not('priceaddon', 'is', null)
+      .not('image', 'is', null);
+
+    [term, ...terms].forEach(text => {
+      const pattern = toPattern(text);
+      query = query.or(`keyword.ilike.${pattern},infoaddon.ilike.${pattern}`);
+    });
+    if (types && types.length > 0) {
+      query = query.in('type', types);
+    }
+
+    const { data, error, count } = await query
+      .order('rowid')
+      .range(offset, offset + limit - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    return { rows: data || [], count: count || 0 };
+  } catch (error) {
+    console.error('Error searching priced designs:', error);
+    throw error;
+  }
+};
+
+// Helper function to fetch the most used design keywords of priced quotes: [{ keyword, uses }]
+// Uses the popularkeywords function when it exists, otherwise counts a sample of recent rows
+// Only rows an admin opted in (searchable = true) are counted, like the design search
+export const fetchPopularKeywords = async (limit = 8, sampleSize = 500) => {
+  const supabaseClient = getSupabaseClient();
+  
+  if (!supabaseClient) {
+    const healthCheck = getSupabaseHealth();
+    throw new Error(`Supabase is not configured properly. Issues: ${healthCheck.errors.join(', ')}. Please check your environment variables.`);
+  }
+  
+  try {
+    const { data, error } = await supabaseClient
+      .rpc('popularkeywords', { maxcount: limit });
+
+    if (!error) {
+      return data || [];
+    }
+    console.warn('popularkeywords unavailable, counting recent keywords:', error.message);
+
+    const { data: rows, error: rowsError } = await supabaseClient
+      .from('uploadpricing2')
+      .select('keyword')
+      .eq('searchable', true)
+      .not('keyword', 'is', null)
+      .not('priceaddon', 'is', null)
+      .order('created_at', { ascending: false })
+      .limit(sampleSize);
+
+    if (rowsError) {
+      throw rowsError;
+    }
+
+    const counts = new Map();
+    (rows || []).forEach(row => {
+      const keyword = row.keyword.trim().toLowerCase();
+      if (keyword) counts.set(keyword, (counts.get(keyword) || 0) + 1);
+    });
+    return [...counts.entries()]
+      .map(([keyword, uses]) => ({ keyword, uses }))
+      .sort((a, b) => b.uses - a.uses);
+  } catch (error) {
+    console.error('Error fetching popular keywords:', error);
+    throw error;
+  }
+};
+
+// Product sizes cache keyed by "type|thickness" (matching Shopify sizeCache)
+const productSizesCache = new Map();
+
+// Helper function to fetch sizes and base prices for a cake type + height
+export const fetchProductSizes = async (cakeType, thickness) => {
+  const cacheKey = `${cakeType}|${thickness}`;
+  if (productSizesCache.has(cacheKey)) {
+    return productSizesCache.get(cacheKey);
+  }
+
+  const supabaseClient = getSupabaseClient();
+  
+  if (!supabaseClient) {
+    const healthCheck = getSupabaseHealth();
+    throw new Error(`Supabase is not configured properly. Issues: ${healthCheck.errors.join(', ')}. Please check your environment variables.`);
+  }
+  
+  try {
+    const { data, error } = await supabaseClient
+      .from('productsizes')
+      .select('cakesize, price')
+      .eq('type', cakeType)
+      .eq('thickness', thickness);
+
+    if (error) {
+      throw error;
+    }
+
+    const rows = data || [];
+    productSizesCache.set(cacheKey, rows);
+    return rows;
+  } catch (error) {
+    console.error('Error fetching product sizes:', error);
+    throw error;
+  }
+};
+
+// Helper function to fetch price-point variants (price -> Shopify variant id)
+export const fetchPriceVariants = async () => {
+  const supabaseClient = getSupabaseClient();
+  
+  if (!supabaseClient) {
+    const healthCheck = getSupabaseHealth();
+    throw new Error(`Supabase is not configured properly. Issues: ${healthCheck.errors.join(', ')}. Please check your environment variables.`);
+  }
+  
+  try {
+    const { data, error } = await supabaseClient
+      .from('pricevariants')
+      .select('price, variantid');
+
+    if (error) {
+      throw error;
+    }
+
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching price variants:', error);
+    throw error;
+  }
+};
+
+// Helper function to fetch the pickup/delivery scheduling tables
+export const fetchSchedulingRules = async () => {
+  const supabaseClient = getSupabaseClient();
+  
+  if (!supabaseClient) {
+    const healthCheck = getSupabaseHealth();
+    throw new Error(`Supabase is not configured properly. Issues: ${healthCheck.errors.join(', ')}. Please check your environment variables.`);
+  }
+  
+  try {
+    const [branches, leadTimes, blackoutDates] = await Promise.all([
+      supabaseClient.from('branches').select('branch, opens, closes, closeddays, pickup, delivery'),
+      supabaseClient.from('leadtimes').select('caketype, days'),
+      supabaseClient.from('blackoutdates').select('date, branch, reason')
+    ]);
+
+    const failed = [branches, leadTimes, blackoutDates].find(result => result.error);
+    if (failed) {
+      throw failed.error;
+    }
+
+    return {
+      branches: branches.data || [],
+      leadTimes: leadTimes.data || [],
+      blackoutDates: blackoutDates.data || []
+    };
+  } catch (error) {
+    console.error('Error fetching scheduling rules:', error);
+    throw error;
+  }
+};
+
+// Helper function to record a quote total that has no exact price-point variant
+export const logUnresolvedVariant = async ({ total, roundedTo = null, cakeType, height, size, rowid = null }) => {
+  const supabaseClient = getSupabaseClient();
+  
+  if (!supabaseClient) {
+    return;
+  }
+  
+  try {
+    const { error } = await supabaseClient
+      .from('unresolvedvariants')
+      .insert([
+        {
+          total,
+          roundedto: roundedTo,
+          type: cakeType,
+          thickness: height,
+          cakesize: size,
+          rowid
+        }
+      ]);
+
+    if (error) {
+      throw error;
+    }
+  } catch (error) {
+    // Reporting only; never block the quote on it
+    console.warn('Error logging unresolved variant:', error);
+  }
+};
+
+// Helper function to save customer feedback on an AI quote
+export const submitQuoteFeedback = async ({
+  rowid,
+  rating = null,
+  suggestedPrice = null,
+  remarks = '',
+  addonPrice = null,
+  imageUrl = '',
+  details = ''
+}) => {
+  const supabaseClient = getSupabaseClient();
+  
+  if (!supabaseClient) {
+    const healthCheck = getSupabaseHealth();
+    throw new Error(`Supabase is not configured properly. Issues: ${healthCheck.errors.join(', ')}. Please check your environment variables.`);
+  }
+  
+  try {
+    // Column names match submitFeedback on the Shopify page
+    const { error } = await supabaseClient
+      .from('uploadpricing2feedback')
+      .insert([
+        {
+          rowid,
+          rating,
+          suggestedprice: suggestedPrice,
+          customerremarks: remarks,
+          addonprice: addonPrice,
+          image: imageUrl,
+          infowithprice: details
+        }
+      ]);
+
+    if (error) {
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error saving feedback:', error);
+    throw error;
+  }
+};
@@ -0,0 +1,78 @@
+// Cake type / height options adapted from Shopify implementation
+// Keeps the React quote in step with the chips on the Liquid pricing page
+
+export const CAKE_TYPES_WITH_BENTO = ['Bento', '1 Tier', '1 Tier Fondant', '2 Tier', '2 Tier Fondant', '3 Tier', '3 Tier Fondant', 'Square', 'Rectangle'];
+export const CAKE_TYPES_NO_BENTO = CAKE_TYPES_WITH_BENTO.filter(type => type !== 'Bento');
+
+export const HEIGHT_ALL = ['2 in', '3 in', '4 in', '5 in', '6 in'];
+
+// Auto height per cake type
+export const TYPE_TO_HEIGHT = {
+  'Bento': '2 in',
+  '1 Tier': '4 in',
+  '1 Tier Fondant': '5 in',
+  '2 Tier': '4 in',
+  '2 Tier Fondant': '5 in',
+  '3 Tier': '4 in',
+  '3 Tier Fondant': '5 in',
+  'Square': '3 in',
+  'Rectangle': '3 in'
+};
+
+// Designs priced above this need a manual quote from the cake consultants
+export const ADDON_LIMIT = 99998;
+
+/**
+ * Cake types offered as chips. Bento only shows when the AI picked it.
+ */
+export function getCakeTypeOptions(showBento = false) {
+  return showBento ? CAKE_TYPES_WITH_BENTO : CAKE_TYPES_NO_BENTO;
+}
+
+/**
+ * Heights that can be baked for a given cake type
+ */
+export function getAllowedHeights(type) {
+  switch (type) {
+    case 'Bento': return ['2 in'];
+    case '1 Tier': return ['3 in', '4 in', '5 in', '6 in'];
+    case '2 Tier':
+    case '3 Tier': return ['4 in', '5 in'];
+    case '1 Tier Fondant':
+    case '2 Tier Fondant':
+    case '3 Tier Fondant': return ['5 in', '6 in'];
+    case 'Square':
+    case 'Rectangle': return ['3 in', '4 in'];
+    default: return HEIGHT_ALL.filter(h => h !== '2 in');
+  }
+}
+
+/**
+ * Picks the default height when the customer switches cake type
+ */
+export function getDefaultHeight(type) {
+  const allowed = getAllowedHeights(type);
+  const mapped = TYPE_TO_HEIGHT[type];
+  return allowed.includes(mapped) ? mapped : (allowed[0] || '');
+}
+
+/**
+ * Resolves the type/height preselection from the AI row (type, thickness)
+ */
+export function resolvePreselection(typeFromDB, thicknessFromDB, showBento = false) {
+  const options = getCakeTypeOptions(showBento);
+  const cakeType = options.includes(typeFromDB) ? typeFromDB : options[0];
+  const allowed = getAllowedHeights(cakeType);
+  const height = thicknessFromDB && allowed.includes(thicknessFromDB)
+    ? thicknessFromDB
+    : getDefaultHeight(cakeType);
+
+  return { cakeType, height };
+}
+
+/**
+ * Final price for one size row: base price + AI addon, rounded to whole pesos
+ */
+export function computeSizeTotal(basePrice, addonPrice) {
+  return Math.round(Number(basePrice || 0) + Number(addonPrice || 0));
+}
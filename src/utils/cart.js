@@ -0,0 +1,218 @@
+// Cart handoff from the React quote to the Shopify store
+// Builds the same line item as handleAjaxAddToCart in shopifypagepricing.liquid
+
+export const CART_CONFIG = {
+  // Store the cart lives on; empty means the app is served from the store itself
+  STORE_ORIGIN: (import.meta.env.VITE_SHOPIFY_STORE_ORIGIN || '').replace(/\/$/, ''),
+  // 'ajax' (same-origin /cart/add.js), 'permalink' or 'storefront'
+  MODE: import.meta.env.VITE_SHOPIFY_CART_MODE || '',
+  STOREFRONT_TOKEN: import.meta.env.VITE_SHOPIFY_STOREFRONT_TOKEN || '',
+  STOREFRONT_API_VERSION: import.meta.env.VITE_SHOPIFY_STOREFRONT_API_VERSION || '2024-07'
+};
+
+/**
+ * Picks the cart mode when none is configured:
+ * Storefront API when we have a token, same-origin AJAX when embedded in the store,
+ * otherwise a cart permalink on the store origin.
+ */
+export function getCartMode() {
+  if (CART_CONFIG.MODE) return CART_CONFIG.MODE;
+  if (CART_CONFIG.STOREFRONT_TOKEN && CART_CONFIG.STORE_ORIGIN) return 'storefront';
+  if (!CART_CONFIG.STORE_ORIGIN || CART_CONFIG.STORE_ORIGIN === window.location.origin) return 'ajax';
+  return 'permalink';
+}
+
+/**
+ * Builds the cart line item for a quote.
+ * Property names match the Liquid page so orders look the same to the bakers.
+ */
+export function buildCartLineItem({
+  variantId,
+  imageUrl,
+  referenceImageUrls = [],
+  cakeType,
+  height,
+  size,
+  details,
+  message = '',
+  candleNumber = '',
+  celebrantName = ''
+}) {
+  const properties = {
+    'Uploaded Photo': imageUrl || '',
+    'Cake Type': cakeType || '',
+    'Cake Height': height || '',
+    'Cake Size': size || 'Not specified',
+    'Details': details || '',
+    'Cake Message': message || 'No message'
+  };
+
+  if (candleNumber) {
+    properties['Candle Number'] = candleNumber;
+  }
+  if (celebrantName) {
+    properties['Celebrant Name'] = celebrantName;
+  }
+
+  // Extra angles (top view, topper close-up) for the bakers
+  const extraImages = referenceImageUrls.filter(url => url && url !== imageUrl);
+  if (extraImages.length > 0) {
+    properties['Reference Photos'] = extraImages.join(' , ');
+  }
+
+  return {
+    variantId: String(variantId),
+    quantity: 1,
+    properties
+  };
+}
+
+/**
+ * Cart attributes for the pickup/delivery schedule.
+ * 'Shipping Date'/'Shipping Time' are the attributes the Liquid date-time-modal wrote.
+ */
+export function buildCartAttributes(schedule) {
+  if (!schedule) return {};
+  return {
+    'Fulfillment': schedule.method === 'delivery' ? 'Delivery' : 'Pickup',
+    'Branch': schedule.branch || '',
+    'Shipping Date': schedule.date || '',
+    'Shipping Time': schedule.time || ''
+  };
+}
+
+// UTF-8 safe base64 (details and messages aren't always ASCII)
+function toBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+/**
+ * Cart permalink: /cart/<variant>:<qty>?properties=<base64 JSON>&attributes[<name>]=<value>
+ */
+export function buildCartPermalink(lineItem, origin = CART_CONFIG.STORE_ORIGIN, attributes = {}) {
+  const params = new URLSearchParams({ properties: toBase64(JSON.stringify(lineItem.properties)) });
+  Object.entries(attributes).forEach(([key, value]) => params.append(`attributes[${key}]`, value));
+  return `${origin}/cart/${lineItem.variantId}:${lineItem.quantity}?${params.toString()}`;
+}
+
+async function readAjaxError(response) {
+  let description = '';
+  try {
+    description = (await response.json()).description || '';
+  } catch (_) {
+    // Not JSON; status is enough
+  }
+  return new Error(description || `Cart request failed (${response.status})`);
+}
+
+async function addViaAjax(lineItem, attributes) {
+  const response = await fetch(`${CART_CONFIG.STORE_ORIGIN}/cart/add.js`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    credentials: 'same-origin',
+    body: JSON.stringify({
+      id: lineItem.variantId,
+      quantity: lineItem.quantity,
+      properties: lineItem.properties
+    })
+  });
+
+  if (!response.ok) {
+    throw await readAjaxError(response);
+  }
+
+  if (Object.keys(attributes).length > 0) {
+    const updateResponse = await fetch(`${CART_CONFIG.STORE_ORIGIN}/cart/update.js`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'same-origin',
+      body: JSON.stringify({ attributes })
+    });
+    if (!updateResponse.ok) {
+      throw await readAjaxError(updateResponse);
+    }
+  }
+
+  return { redirectUrl: `${CART_CONFIG.STORE_ORIGIN}/cart` };
+}
+
+const CART_CREATE_MUTATION = `
+  mutation cartCreate($input: CartInput!) {
+    cartCreate(input: $input) {
+      cart { id checkoutUrl }
+      userErrors { field message }
+    }
+  }
+`;
+
+async function addViaStorefront(lineItem, attributes) {
+  const response = await fetch(`${CART_CONFIG.STORE_ORIGIN}/api/${CART_CONFIG.STOREFRONT_API_VERSION}/graphql.json`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Shopify-Storefront-Access-Token': CART_CONFIG.STOREFRONT_TOKEN
+    },
+    body: JSON.stringify({
+      query: CART_CREATE_MUTATION,
+      variables: {
+        input: {
+          attributes: Object.entries(attributes).map(([key, value]) => ({ key, value: String(value) })),
+          lines: [{
+            merchandiseId: `gid://shopify/ProductVariant/${lineItem.variantId}`,
+            quantity: lineItem.quantity,
+            attributes: Object.entries(lineItem.properties).map(([key, value]) => ({ key, value: String(value) }))
+          }]
+        }
+      }
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Storefront request failed (${response.status})`);
+  }
+
+  const { data, errors } = await response.json();
+  const result = data && data.cartCreate;
+  const userErrors = (result && result.userErrors) || [];
+
+  if (errors && errors.length) {
+    throw new Error(errors.map(e => e.message).join(', '));
+  }
+  if (userErrors.length) {
+    throw new Error(userErrors.map(e => e.message).join(', '));
+  }
+  if (!result || !result.cart || !result.cart.checkoutUrl) {
+    throw new Error('Storefront did not return a checkout URL');
+  }
+
+  return { redirectUrl: result.cart.checkoutUrl, cartId: result.cart.id };
+}
+
+/**
+ * Adds a quote to the store cart and resolves with { redirectUrl }.
+ * Cart attributes (the schedule) are set on the cart itself.
+ * Rejects with a customer-facing message; the technical cause is logged.
+ */
+export async function addQuoteToCart(lineItem, attributes = {}) {
+  const mode = getCartMode();
+
+  try {
+    if (mode === 'storefront') return await addViaStorefront(lineItem, attributes);
+    if (mode === 'permalink') return { redirectUrl: buildCartPermalink(lineItem, CART_CONFIG.STORE_ORIGIN, attributes) };
+    return await addViaAjax(lineItem, attributes);
+  } catch (error) {
+    console.error(`Add to cart (${mode}) failed:`, error);
+
+    let userFriendlyMessage = 'Sorry, we could not add this cake to your cart. Please try again.';
+    if (error.message.includes('sold out') || error.message.includes('unavailable')) {
+      userFriendlyMessage = 'This cake size is currently unavailable. Please choose another size or chat with our Cake Consultants.';
+    } else if (error.name === 'TypeError') {
+      // fetch() network failure
+      userFriendlyMessage = 'Network error. Please check your internet connection and try again.';
+    }
+    throw new Error(userFriendlyMessage);
+  }
+}
@@ -0,0 +1,41 @@
+// Web Worker that decodes, resizes and encodes photos off the main thread
+// 'compress': receives a transferred ImageBitmap and a compression profile, replies with the encoded blob
+// 'decodeHeic': receives the file bytes, replies with a transferred ImageBitmap
+
+import { resizeAndEncode } from './imagePipeline.js';
+import { decodeHeic } from './heicDecoder.js';
+
+async function compress(bitmap, profile, report) {
+  try {
+    return await resizeAndEncode(
+      bitmap,
+      (width, height) => new OffscreenCanvas(width, height),
+      (progress) => report({ type: 'progress', ...progress }),
+      profile
+    );
+  } finally {
+    bitmap.close();
+  }
+}
+
+async function decodeHeicToBitmap(buffer) {
+  const { width, height, data } = await decodeHeic(buffer);
+  return createImageBitmap(new ImageData(data, width, height));
+}
+
+self.onmessage = async (event) => {
+  const { id, type = 'compress', bitmap, buffer, profile } = event.data;
+  const report = (message, transfer = []) => self.postMessage({ id, ...message }, transfer);
+
+  try {
+    if (type === 'decodeHeic') {
+      const result = await decodeHeicToBitmap(buffer);
+      report({ type: 'result', result }, [result]);
+    } else {
+      const result = await compress(bitmap, profile, report);
+      report({ type: 'result', result });
+    }
+  } catch (error) {
+    report({ type: 'error', message: error.message || 'Compression failed in worker' });
+  }
+};
@@ -0,0 +1,50 @@
+// Finds an already-priced quote for a photo that looks the same as a new upload
+// Popular designs get uploaded again and again; a match shows its price right away
+
+import { findPricedRowsByImageHash } from '../supabase.js';
+
+export const DUPLICATE_CONFIG = {
+  ENABLED: import.meta.env.VITE_DUPLICATE_MATCH !== 'false',
+  // Largest number of differing dHash bits (of 64) still treated as the same design
+  MAX_DISTANCE: Number(import.meta.env.VITE_DUPLICATE_MAX_DISTANCE || 6),
+  // Also run a fresh AI analysis for a matched photo (a new quote row); the fresh price replaces the match
+  FRESH_ANALYSIS: import.meta.env.VITE_DUPLICATE_FRESH_ANALYSIS !== 'false'
+};
+
+const BIT_COUNTS = [0, 1, 1, 2, 1, 2, 2, 3, 1, 2, 2, 3, 2, 3, 3, 4];
+
+/**
+ * Number of differing bits between two hex hashes of the same length
+ */
+export function hammingDistance(a, b) {
+  if (!a || !b || a.length !== b.length) return Infinity;
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += BIT_COUNTS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  }
+  return distance;
+}
+
+/**
+ * Closest priced row for a perceptual hash, or null.
+ * Never throws; a failed lookup just means no match.
+ */
+export async function findPreviousQuote(imageHash, excludeRowId = null) {
+  if (!DUPLICATE_CONFIG.ENABLED || !imageHash) return null;
+
+  try {
+    const rows = await findPricedRowsByImageHash(imageHash, DUPLICATE_CONFIG.MAX_DISTANCE);
+    const candidates = rows
+      .filter(row => row.rowid !== excludeRowId && row.priceaddon !== null && row.priceaddon !== undefined)
+      .map(row => ({ row, distance: hammingDistance(imageHash, row.imagehash) }))
+      .filter(candidate => candidate.distance <= DUPLICATE_CONFIG.MAX_DISTANCE)
+      .sort((a, b) => a.distance - b.distance);
+
+    if (candidates.length === 0) return null;
+    console.log(`♻️ Matched previous quote ${candidates[0].row.rowid} (distance ${candidates[0].distance})`);
+    return candidates[0].row;
+  } catch (error) {
+    console.warn('Duplicate lookup failed:', error);
+    return null;
+  }
+}
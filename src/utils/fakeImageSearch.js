@@ -0,0 +1,77 @@
+// Local stand-in for the Custom Search JSON API, for development without an API key
+// Answers like googleSearchImages: the same query always gives the same results and total,
+// and every image is an inline SVG, so it works offline
+
+const LATENCY_MS = 300;
+const COLORS = ['#f9a8d4', '#c4b5fd', '#a5b4fc', '#fcd34d', '#6ee7b7', '#fda4af'];
+
+function hashString(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+}
+
+function svgDataUrl(width, height, color, label) {
+  const tiers = [0.45, 0.3, 0.18].map((share, tier) => {
+    const tierWidth = width * (0.7 - tier * 0.18);
+    const tierHeight = height * share * 0.5;
+    const y = height * (0.85 - tier * 0.22) - tierHeight;
+    return `<rect x="${(width - tierWidth) / 2}" y="${y}" width="${tierWidth}" height="${tierHeight}" rx="${tierHeight / 6}" fill="${color}" stroke="#fff" stroke-width="4"/>`;
+  }).join('');
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<rect width="100%" height="100%" fill="#fdf2f8"/>${tiers}` +
+    `<text x="50%" y="${height * 0.95}" font-family="sans-serif" font-size="${Math.round(height / 16)}" text-anchor="middle" fill="#6b21a8">${label}</text></svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('Search cancelled', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+    if (signal) {
+      if (signal.aborted) return abort();
+      signal.addEventListener('abort', abort, { once: true });
+    }
+  });
+}
+
+/**
+ * Fake image results for a query: { items, totalResults }
+ */
+export async function fakeSearchImages(query, { page = 1, pageSize = 10, signal = null } = {}) {
+  await wait(LATENCY_MS, signal);
+
+  const seed = hashString(query.toLowerCase());
+  const totalResults = 25 + (seed % 200);
+  const start = (page - 1) * pageSize;
+  const count = Math.max(0, Math.min(pageSize, totalResults - start));
+  const safeQuery = query.replace(/[<>&"]/g, '');
+
+  const items = Array.from({ length: count }, (_, offset) => {
+    const position = start + offset + 1;
+    const color = COLORS[(seed + position) % COLORS.length];
+    const width = 1200 + ((seed + position * 97) % 5) * 200;
+    const height = Math.round(width * 0.75);
+    const label = `${safeQuery} #${position}`;
+    return {
+      id: `fake-${seed}-${position}`,
+      title: `${safeQuery} cake design ${position}`,
+      imageUrl: svgDataUrl(width, height, color, label),
+      thumbnailUrl: svgDataUrl(160, 120, color, `#${position}`),
+      width,
+      height,
+      contextUrl: null,
+      displayLink: 'example.test'
+    };
+  });
+
+  return { items, totalResults };
+}
@@ -0,0 +1,103 @@
+// HEIC/HEIF (iPhone photo) detection and decoding
+// Most browsers can't decode HEIC, so we bundle libheif (WASM) and load it only when needed
+// No DOM access here: runs in the compression worker and on the main thread
+
+export const HEIC_MIME_TYPES = ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence'];
+
+// ISO-BMFF brands used by HEIC/HEIF files (AVIF is left to the browser)
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'hevm', 'hevs', 'mif1', 'msf1'];
+
+const readFourCC = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+/**
+ * Checks the file header: an 'ftyp' box whose major or compatible brands are HEIF
+ */
+export function isHeicHeader(bytes) {
+  if (bytes.length < 12 || readFourCC(bytes, 4) !== 'ftyp') return false;
+
+  // Major brand, then the compatible brands after the minor version
+  const brands = [readFourCC(bytes, 8)];
+  const boxSize = Math.min(bytes.length, (bytes[0] << 24 | bytes[1] << 16 | bytes[2] << 8 | bytes[3]) >>> 0);
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(readFourCC(bytes, offset));
+  }
+
+  // AVIF shares the generic mif1/msf1 brands
+  if (brands.includes('avif') || brands.includes('avis')) return false;
+  return brands.some(brand => HEIF_BRANDS.includes(brand));
+}
+
+/**
+ * HEIC detection by MIME type or magic bytes.
+ * iPhone photos often arrive with an empty or generic type on non-Apple browsers.
+ */
+export async function isHeicFile(file) {
+  if (HEIC_MIME_TYPES.includes((file.type || '').toLowerCase())) return true;
+  if (/\.(heic|heif)$/i.test(file.name || '')) return true;
+
+  try {
+    const header = new Uint8Array(await file.slice(0, 64).arrayBuffer());
+    return isHeicHeader(header);
+  } catch (_) {
+    return false;
+  }
+}
+
+let libheifPromise = null;
+
+function loadLibheif() {
+  if (!libheifPromise) {
+    libheifPromise = import('libheif-js/libheif-wasm/libheif-bundle.mjs')
+      .then(module => module.default())
+      .catch(error => {
+        libheifPromise = null; // Allow a retry, e.g. after a failed chunk download
+        throw error;
+      });
+  }
+  return libheifPromise;
+}
+
+// Parses the container and hands the primary image to use(); every image is freed afterwards
+async function withPrimaryImage(buffer, use) {
+  const libheif = await loadLibheif();
+  const decoder = new libheif.HeifDecoder();
+  const images = decoder.decode(new Uint8Array(buffer));
+
+  if (!images || images.length === 0) {
+    throw new Error('Could not read HEIC photo');
+  }
+
+  try {
+    const primary = images.find(image => image.is_primary()) || images[0];
+    return await use(primary);
+  } finally {
+    images.forEach(image => image.free());
+  }
+}
+
+/**
+ * Width and height of the primary image, without decoding pixels
+ */
+export function readHeicSize(buffer) {
+  return withPrimaryImage(buffer, image => ({ width: image.get_width(), height: image.get_height() }));
+}
+
+/**
+ * Decodes the primary image to RGBA pixels: { width, height, data }
+ */
+export function decodeHeic(buffer) {
+  return withPrimaryImage(buffer, image => {
+    const width = image.get_width();
+    const height = image.get_height();
+
+    return new Promise((resolve, reject) => {
+      image.display({ data: new Uint8ClampedArray(width * height * 4), width, height }, (displayData) => {
+        if (!displayData) {
+          reject(new Error('HEIC decoding failed'));
+          return;
+        }
+        resolve({ width, height, data: displayData.data });
+      });
+    });
+  });
+}
@@ -1,27 +1,62 @@
 // Advanced image compression utilities adapted from Shopify implementation
 // Reduces file sizes significantly while maintaining quality
 
-export const IMAGE_CONFIG = {
-  MAX_LONG_EDGE: 1800,
-  TARGET_MAX_BYTES: 1_200_000, // 1.2MB target
-  QUALITY_START: 0.85,
-  QUALITY_MIN: 0.60
+import { IMAGE_CONFIG, COMPRESSION_PROFILES, isAlreadyOptimized, resizeAndEncode, computeDHash, encodeRenditions } from './imagePipeline.js';
+import { isHeicFile, decodeHeic } from './heicDecoder.js';
+import { stripImageMetadata } from './imageMetadata.js';
+
+export { IMAGE_CONFIG, COMPRESSION_PROFILES };
+
+// 'auto' picks a profile from the network and device; or force one of COMPRESSION_PROFILES
+const PROFILE_SETTING = import.meta.env.VITE_COMPRESSION_PROFILE || 'auto';
+
+// Shown when a file can't be re-encoded or stripped, so its location data can't be removed
+const UNSAFE_FILE_MESSAGE = "We couldn't prepare this photo for upload. Please save it as a JPEG or PNG and try again.";
+
+// Customer-facing names for the steps reported through onProgress
+export const COMPRESSION_STEP_LABELS = {
+  decoding: 'reading photo',
+  resizing: 'resizing',
+  encoding: 'compressing',
+  done: 'done'
 };
 
 /**
- * Converts canvas to blob with fallback support
+ * Short description of a progress step, e.g. "compressing (pass 2)"
+ */
+export function describeCompressionStep({ step, attempt }) {
+  const label = COMPRESSION_STEP_LABELS[step] || step;
+  return attempt > 1 ? `${label} (pass ${attempt})` : label;
+}
+
+/**
+ * Compression profile for this device and connection:
+ * data saver on, 2G/3G or little memory -> dataSaver;
+ * fast 4G/Wi-Fi with enough memory -> highDetail; otherwise (or unknown) standard
  */
-function canvasToBlobAsync(canvas, type, quality) {
-  if ('convertToBlob' in canvas) {
-    return canvas.convertToBlob({ type, quality });
+export function selectCompressionProfile() {
+  if (COMPRESSION_PROFILES[PROFILE_SETTING]) return COMPRESSION_PROFILES[PROFILE_SETTING];
+
+  const connection = navigator.connection || {};
+  const memory = navigator.deviceMemory; // GB, rounded; Chromium only
+
+  if (connection.saveData || ['slow-2g', '2g', '3g'].includes(connection.effectiveType) || (memory && memory <= 2)) {
+    return COMPRESSION_PROFILES.dataSaver;
   }
-  return new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+  if (connection.effectiveType === '4g' && connection.downlink >= 5 && memory >= 4) {
+    return COMPRESSION_PROFILES.highDetail;
+  }
+  return COMPRESSION_PROFILES.standard;
 }
 
 /**
  * Decodes image to bitmap with fallback
  */
-async function decodeToBitmap(file) {
+async function decodeToBitmap(file, isHeic = false) {
+  if (isHeic) {
+    return decodeHeicToBitmap(file);
+  }
+
   if ('createImageBitmap' in window) {
     try {
       return await createImageBitmap(file, { imageOrientation: 'from-image' });
@@ -44,98 +79,170 @@ async function decodeToBitmap(file) {
 }
 
 /**
- * Encodes canvas with WebP support and JPEG fallback
+ * Decodes any supported photo (HEIC included) for display or editing,
+ * with the EXIF orientation applied
+ */
+export async function decodeImageFile(file) {
+  return decodeToBitmap(file, await isHeicFile(file));
+}
+
+// --- Worker ---
+
+let worker = null;
+let workerFailed = false; // Don't keep retrying a worker that can't start
+let nextRequestId = 0;
+const pendingRequests = new Map(); // id -> { resolve, reject, onProgress }
+
+function canUseWorker() {
+  return !workerFailed
+    && typeof Worker !== 'undefined'
+    && typeof OffscreenCanvas !== 'undefined'
+    && 'createImageBitmap' in window;
+}
+
+function failAllRequests(error) {
+  pendingRequests.forEach(request => request.reject(error));
+  pendingRequests.clear();
+}
+
+function getWorker() {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('./compressionWorker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = (event) => {
+    const { id, type, ...data } = event.data;
+    const request = pendingRequests.get(id);
+    if (!request) return;
+
+    if (type === 'progress') {
+      request.onProgress(data);
+      return;
+    }
+    pendingRequests.delete(id);
+    if (type === 'result') {
+      request.resolve(data.result);
+    } else {
+      request.reject(new Error(data.message));
+    }
+  };
+  worker.onerror = (event) => {
+    console.warn('Compression worker failed, using main thread:', event.message);
+    workerFailed = true;
+    worker.terminate();
+    worker = null;
+    failAllRequests(new Error(event.message || 'Compression worker failed'));
+  };
+
+  return worker;
+}
+
+function sendToWorker(message, transfer, onProgress = () => {}) {
+  return new Promise((resolve, reject) => {
+    const id = ++nextRequestId;
+    pendingRequests.set(id, { resolve, reject, onProgress });
+    getWorker().postMessage({ id, ...message }, transfer);
+  });
+}
+
+/**
+ * Sends a decoded bitmap to the worker. The bitmap is transferred, so it's
+ * unusable here afterwards.
+ */
+function resizeAndEncodeInWorker(bitmap, profile, onProgress) {
+  return sendToWorker({ type: 'compress', bitmap, profile }, [bitmap], onProgress);
+}
+
+/**
+ * Decodes a HEIC photo with the bundled libheif, in the worker when possible.
+ * The WASM decode is synchronous and would otherwise freeze the page.
  */
-async function encodeWithFallback(canvas, quality) {
-  // Try WebP first for better compression
-  let blob = await canvasToBlobAsync(canvas, 'image/webp', quality);
-  if (blob) {
-    return { blob, ext: 'webp' };
+async function decodeHeicToBitmap(file) {
+  if (canUseWorker()) {
+    try {
+      const buffer = await file.arrayBuffer();
+      return await sendToWorker({ type: 'decodeHeic', buffer }, [buffer]);
+    } catch (workerError) {
+      console.warn('Worker HEIC decoding failed, retrying on main thread:', workerError);
+    }
   }
-  
-  // Fallback to JPEG with white background
-  const ctx = canvas.getContext('2d');
-  ctx.globalCompositeOperation = 'destination-over';
-  ctx.fillStyle = '#ffffff';
-  ctx.fillRect(0, 0, canvas.width, canvas.height);
-  
-  blob = await canvasToBlobAsync(canvas, 'image/jpeg', quality);
-  return { blob, ext: 'jpg' };
+
+  // The worker took the first buffer; read the file again
+  const { width, height, data } = await decodeHeic(await file.arrayBuffer());
+  const imageData = new ImageData(data, width, height);
+  if ('createImageBitmap' in window) {
+    return createImageBitmap(imageData);
+  }
+  const canvas = Object.assign(document.createElement('canvas'), { width, height });
+  canvas.getContext('2d').putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+function createMainThreadCanvas(width, height) {
+  // Try OffscreenCanvas first for better performance
+  return ('OffscreenCanvas' in window)
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), { width, height });
 }
 
 /**
  * Main compression function - reduces file size while maintaining quality
+ * onProgress({ step, attempt }) reports decoding, resizing, each encoding pass and done
+ * profile defaults to selectCompressionProfile(); its NAME is returned as result.profile
  */
-export async function compressAndOptimizeImage(file) {
+export async function compressAndOptimizeImage(file, { onProgress = () => {}, profile = selectCompressionProfile() } = {}) {
   try {
-    // Skip compression for non-images or GIFs
-    if (!file.type.startsWith('image/')) {
-      const fileName = file.name || 'unknown';
-      const ext = fileName && typeof fileName === 'string' ? 
-        (fileName.split('.').pop() || 'bin').toLowerCase() : 'bin';
-      return { 
-        blob: file, 
-        ext: ext,
-        compressionRatio: 1 
-      };
-    }
+    // HEIC always gets re-encoded; browsers can't show it and the AI can't read it
+    const isHeic = await isHeicFile(file);
     
-    if (file.type === 'image/gif') {
-      return { 
-        blob: file, 
-        ext: 'gif',
-        compressionRatio: 1 
-      };
+    // Only pixels we decode and re-encode (or strip) may reach the public bucket
+    if (!file.type.startsWith('image/') && !isHeic) {
+      throw new Error(UNSAFE_FILE_MESSAGE);
     }
 
     const originalSize = file.size;
-    const bmp = await decodeToBitmap(file);
-    const srcW = bmp.width;
-    const srcH = bmp.height;
-    const longEdge = Math.max(srcW, srcH);
-
-    // If already small enough, return original
-    if (longEdge <= IMAGE_CONFIG.MAX_LONG_EDGE && file.size <= IMAGE_CONFIG.TARGET_MAX_BYTES) {
-      const fileName = file.name || 'image.jpg';
-      const ext = fileName && typeof fileName === 'string' ? 
-        (fileName.split('.').pop() || 'jpg').toLowerCase() : 'jpg';
-      return { 
-        blob: file, 
-        ext: ext,
-        compressionRatio: 1 
-      };
+    onProgress({ step: 'decoding' });
+    let bmp = await decodeToBitmap(file, isHeic);
+
+    // If already small enough, keep the original pixels but drop the metadata.
+    // Rotated photos and formats we can't strip are re-encoded below, which also drops it.
+    if (!isHeic && isAlreadyOptimized(bmp.width, bmp.height, file.size, profile)) {
+      const stripped = await stripImageMetadata(file).catch(() => null); // Malformed: re-encode
+      if (stripped && stripped.orientation === 1) {
+        const perceptualHash = computeDHash(bmp, createMainThreadCanvas);
+        const renditions = await encodeRenditions(bmp, createMainThreadCanvas).catch(() => ({}));
+        if (bmp.close) bmp.close();
+        onProgress({ step: 'done' });
+        return { 
+          blob: stripped.blob, 
+          ext: stripped.format === 'jpeg' ? 'jpg' : stripped.format,
+          compressionRatio: originalSize / stripped.blob.size,
+          originalSize,
+          compressedSize: stripped.blob.size,
+          dimensions: { width: bmp.width, height: bmp.height },
+          perceptualHash,
+          renditions,
+          profile: profile.NAME,
+          metadataRemoved: true
+        };
+      }
     }
 
-    // Calculate new dimensions
-    const scale = Math.min(1, IMAGE_CONFIG.MAX_LONG_EDGE / longEdge);
-    const dstW = Math.max(1, Math.round(srcW * scale));
-    const dstH = Math.max(1, Math.round(srcH * scale));
-
-    // Create canvas (try OffscreenCanvas first for better performance)
-    const canvas = ('OffscreenCanvas' in window) 
-      ? new OffscreenCanvas(dstW, dstH)
-      : Object.assign(document.createElement('canvas'), { width: dstW, height: dstH });
-
-    const ctx = canvas.getContext('2d', { alpha: true });
-    ctx.imageSmoothingEnabled = true;
-    ctx.imageSmoothingQuality = 'high';
-    ctx.drawImage(bmp, 0, 0, dstW, dstH);
-
-    // Iteratively compress until target size is reached
-    let quality = IMAGE_CONFIG.QUALITY_START;
-    let result;
-    let tries = 0;
-    
-    do {
-      result = await encodeWithFallback(canvas, quality);
-      
-      if (result.blob.size <= IMAGE_CONFIG.TARGET_MAX_BYTES || quality <= IMAGE_CONFIG.QUALITY_MIN) {
-        break;
+    // Resize and re-encode in the worker so the page stays responsive
+    let result = null;
+    if (canUseWorker() && typeof ImageBitmap !== 'undefined' && bmp instanceof ImageBitmap) {
+      try {
+        result = await resizeAndEncodeInWorker(bmp, profile, onProgress);
+      } catch (workerError) {
+        console.warn('Worker compression failed, retrying on main thread:', workerError);
+        // The transferred bitmap is gone; decode again
+        bmp = await decodeToBitmap(file, isHeic);
       }
-      
-      quality = Math.max(IMAGE_CONFIG.QUALITY_MIN, quality - 0.1);
-      tries++;
-    } while (tries < 5);
+    }
+    if (!result) {
+      result = await resizeAndEncode(bmp, createMainThreadCanvas, onProgress, profile);
+      if (bmp.close) bmp.close();
+    }
+    onProgress({ step: 'done' });
 
     const compressionRatio = originalSize / result.blob.size;
     
@@ -144,20 +251,30 @@ export async function compressAndOptimizeImage(file) {
       compressionRatio,
       originalSize,
       compressedSize: result.blob.size,
-      dimensions: { width: dstW, height: dstH },
-      originalDimensions: { width: srcW, height: srcH }
+      metadataRemoved: true // Canvas output never carries EXIF/XMP
     };
     
   } catch (error) {
-    console.warn('Image compression failed, using original:', error);
-    const fileName = file.name || 'image.jpg';
-    const ext = fileName && typeof fileName === 'string' ? 
-      (fileName.split('.').pop() || 'jpg').toLowerCase() : 'jpg';
-    return { 
-      blob: file, 
-      ext: ext,
-      compressionRatio: 1,
-      error: error.message 
+    console.warn('Image compression failed, stripping the original instead:', error);
+    
+    // Still never upload location data; orientation may be lost, privacy may not.
+    // HEIC, AVIF, GIF and anything else we can't strip is refused rather than sent as-is.
+    let stripped = null;
+    try {
+      stripped = await stripImageMetadata(file);
+    } catch (stripError) {
+      console.warn('Could not strip image metadata:', stripError);
+    }
+    if (!stripped) {
+      throw new Error(UNSAFE_FILE_MESSAGE);
+    }
+
+    return {
+      blob: stripped.blob,
+      ext: stripped.format === 'jpeg' ? 'jpg' : stripped.format,
+      compressionRatio: file.size / stripped.blob.size,
+      metadataRemoved: true,
+      error: error.message
     };
   }
 }
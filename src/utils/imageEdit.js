@@ -0,0 +1,147 @@
+// Geometry and rendering for the crop/rotate editor
+// An edit is { rotation (quarter turns), straighten (degrees), crop, cropMoved } where crop is
+// { x, y, width, height } as fractions of the rotated image's bounding box and cropMoved is
+// true once the customer has dragged it
+
+export const EDIT_CONFIG = {
+  STRAIGHTEN_LIMIT: 15, // degrees either way
+  // Edited photos are capped so a 48 MP photo doesn't exhaust memory before compression
+  MAX_OUTPUT_EDGE: 4096,
+  OUTPUT_TYPE: 'image/jpeg',
+  OUTPUT_QUALITY: 0.95 // Compression re-encodes afterwards; keep this step near-lossless
+};
+
+export const FULL_CROP = { x: 0, y: 0, width: 1, height: 1 };
+
+export const EMPTY_EDIT = { rotation: 0, straighten: 0, crop: FULL_CROP, cropMoved: false };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export function isEditUnchanged(edit) {
+  const { crop } = edit;
+  return edit.rotation % 4 === 0 && edit.straighten === 0 &&
+    crop.x === 0 && crop.y === 0 && crop.width === 1 && crop.height === 1;
+}
+
+const toRadians = (edit) => ((edit.rotation % 4) * 90 + edit.straighten) * Math.PI / 180;
+
+/**
+ * Size of the bounding box of the image after rotating
+ */
+export function getRotatedSize(width, height, edit) {
+  const angle = toRadians(edit);
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  return { width: width * cos + height * sin, height: width * sin + height * cos };
+}
+
+/**
+ * Largest centered crop that holds no empty corners after straightening,
+ * as fractions of the rotated bounding box
+ */
+export function getStraightenedCrop(width, height, edit) {
+  if (edit.straighten === 0) return FULL_CROP;
+
+  // Quarter turns swap the sides; only the straighten angle leaves corners
+  const [w, h] = edit.rotation % 2 === 0 ? [width, height] : [height, width];
+  const angle = Math.abs(edit.straighten) * Math.PI / 180;
+  const sin = Math.sin(angle);
+  const cos = Math.cos(angle);
+  const longSide = Math.max(w, h);
+  const shortSide = Math.min(w, h);
+
+  let innerW;
+  let innerH;
+  if (shortSide <= 2 * sin * cos * longSide) {
+    const half = 0.5 * shortSide;
+    [innerW, innerH] = w >= h ? [half / sin, half / cos] : [half / cos, half / sin];
+  } else {
+    const cos2 = cos * cos - sin * sin;
+    innerW = (w * cos - h * sin) / cos2;
+    innerH = (h * cos - w * sin) / cos2;
+  }
+
+  const bounds = getRotatedSize(width, height, edit);
+  const cropW = innerW / bounds.width;
+  const cropH = innerH / bounds.height;
+  return { x: (1 - cropW) / 2, y: (1 - cropH) / 2, width: cropW, height: cropH };
+}
+
+/**
+ * Crop for an edit whose rotation or straighten angle changed. An untouched crop follows the
+ * largest one without empty corners; the customer's own crop keeps its size and place in pixels
+ * (turned with the photo), shrunk and moved just enough to stay clear of the empty corners
+ */
+export function getCropForEdit(width, height, prevEdit, nextEdit) {
+  const safe = getStraightenedCrop(width, height, nextEdit);
+  if (!prevEdit.cropMoved) return safe;
+
+  const prevBounds = getRotatedSize(width, height, prevEdit);
+  const nextBounds = getRotatedSize(width, height, nextEdit);
+  const { crop } = prevEdit;
+  // Center offset from the middle and size, in pixels
+  let cx = (crop.x + crop.width / 2 - 0.5) * prevBounds.width;
+  let cy = (crop.y + crop.height / 2 - 0.5) * prevBounds.height;
+  let w = crop.width * prevBounds.width;
+  let h = crop.height * prevBounds.height;
+  // Each clockwise quarter turn takes (x, y) to (-y, x)
+  const turns = (nextEdit.rotation - prevEdit.rotation + 4) % 4;
+  for (let i = 0; i < turns; i++) {
+    [cx, cy] = [-cy, cx];
+    [w, h] = [h, w];
+  }
+
+  const cropW = Math.min(w / nextBounds.width, safe.width);
+  const cropH = Math.min(h / nextBounds.height, safe.height);
+  return {
+    x: clamp(0.5 + cx / nextBounds.width - cropW / 2, safe.x, safe.x + safe.width - cropW),
+    y: clamp(0.5 + cy / nextBounds.height - cropH / 2, safe.y, safe.y + safe.height - cropH),
+    width: cropW,
+    height: cropH
+  };
+}
+
+/**
+ * Draws the rotated image, cropped, onto canvas at the given scale
+ * (1 = source pixels). The canvas is resized to fit.
+ */
+export function drawEdit(canvas, image, edit, scale = 1, crop = edit.crop) {
+  const bounds = getRotatedSize(image.width, image.height, edit);
+  canvas.width = Math.max(1, Math.round(bounds.width * crop.width * scale));
+  canvas.height = Math.max(1, Math.round(bounds.height * crop.height * scale));
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+
+  ctx.save();
+  ctx.scale(scale, scale);
+  ctx.translate(-crop.x * bounds.width, -crop.y * bounds.height);
+  ctx.translate(bounds.width / 2, bounds.height / 2);
+  ctx.rotate(toRadians(edit));
+  ctx.drawImage(image, -image.width / 2, -image.height / 2);
+  ctx.restore();
+}
+
+/**
+ * Renders the edit at full resolution (capped at MAX_OUTPUT_EDGE) and
+ * resolves with a File named after the original.
+ */
+export async function renderEditedFile(image, edit, originalName = 'photo') {
+  const bounds = getRotatedSize(image.width, image.height, edit);
+  const longEdge = Math.max(bounds.width * edit.crop.width, bounds.height * edit.crop.height);
+  const scale = Math.min(1, EDIT_CONFIG.MAX_OUTPUT_EDGE / longEdge);
+
+  const canvas = document.createElement('canvas');
+  drawEdit(canvas, image, edit, scale);
+
+  const blob = await new Promise((resolve, reject) => canvas.toBlob(
+    result => (result ? resolve(result) : reject(new Error('Could not render edited photo'))),
+    EDIT_CONFIG.OUTPUT_TYPE,
+    EDIT_CONFIG.OUTPUT_QUALITY
+  ));
+  const baseName = originalName.replace(/\.[^.]+$/, '') || 'photo';
+  return new File([blob], `${baseName}-edited.jpg`, { type: EDIT_CONFIG.OUTPUT_TYPE });
+}
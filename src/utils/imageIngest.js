@@ -0,0 +1,83 @@
+// Copies a chosen search image into our own storage
+// Third-party links expire or point at low-res thumbnails, so the image is downloaded through
+// the ingest function (api/ingest-image.js), compressed and stripped like an upload, and stored
+// in uploadopenai; the quote keeps both our URL and the source URL
+
+import { compressAndOptimizeImage } from './imageCompression.js';
+import { uploadImageToSupabase, uploadImageRenditions, getRenditionPath } from '../supabase.js';
+
+export const INGEST_CONFIG = {
+  ENABLED: import.meta.env.VITE_INGEST_SEARCH_IMAGES !== 'false',
+  ENDPOINT: import.meta.env.VITE_INGEST_ENDPOINT || '/api/ingest-image'
+};
+
+const MIME_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/bmp': 'bmp',
+  'image/heic': 'heic',
+  'image/svg+xml': 'svg'
+};
+
+/**
+ * Downloads a remote image as a File. data: URLs (the local fake search) are read
+ * in the browser; everything else goes through the ingest function.
+ */
+export async function fetchRemoteImage(url, { signal = null } = {}) {
+  const response = url.startsWith('data:')
+    ? await fetch(url, { signal })
+    : await fetch(`${INGEST_CONFIG.ENDPOINT}?${new URLSearchParams({ url }).toString()}`, { signal });
+
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    throw new Error(data.error || `Image download failed (${response.status})`);
+  }
+
+  const blob = await response.blob();
+  if (!blob.type.startsWith('image/')) {
+    throw new Error('The link is not an image');
+  }
+  const ext = MIME_EXTENSIONS[blob.type] || 'jpg';
+  return new File([blob], `search-image.${ext}`, { type: blob.type });
+}
+
+/**
+ * Downloads, compresses and stores a web image.
+ * Resolves with { publicUrl, renditionUrls, imageHash, compressionResult, storagePaths };
+ * storagePaths lists every stored object, for removing the copy if it goes unused.
+ */
+export async function ingestRemoteImage(url, { signal = null, onProgress = () => {} } = {}) {
+  const file = await fetchRemoteImage(url, { signal });
+  const compressionResult = await compressAndOptimizeImage(file, { onProgress });
+  // Compression can't be interrupted; a cancel during it stops us before the upload
+  if (signal && signal.aborted) {
+    throw new DOMException('Image copy cancelled', 'AbortError');
+  }
+
+  const { filePath, publicUrl } = await uploadImageToSupabase(compressionResult.blob, { signal });
+
+  // Thumbnails are optional; without them the full photo is shown
+  let renditionUrls = null;
+  const storagePaths = [filePath];
+  if (compressionResult.renditions && Object.keys(compressionResult.renditions).length > 0) {
+    try {
+      renditionUrls = await uploadImageRenditions(filePath, compressionResult.renditions);
+      Object.entries(compressionResult.renditions).forEach(([name, rendition]) => {
+        storagePaths.push(getRenditionPath(filePath, name, rendition.ext));
+      });
+    } catch (renditionError) {
+      console.warn('Could not upload thumbnails:', renditionError);
+    }
+  }
+
+  return {
+    publicUrl,
+    renditionUrls,
+    imageHash: compressionResult.perceptualHash || null,
+    compressionResult,
+    storagePaths
+  };
+}
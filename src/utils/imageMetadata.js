@@ -0,0 +1,178 @@
+// Removes EXIF/XMP/IPTC metadata (GPS location, camera, owner) from JPEG, PNG and WebP bytes
+// Photos land in a public bucket, so nothing but pixels and color profile may go along
+
+// JPEG segments that carry only pixels/color information; every other APPn and COM is dropped
+const JPEG_KEEP_APP = {
+  0xE0: () => true, // APP0 JFIF
+  0xE2: (segment) => readAscii(segment, 4, 11) === 'ICC_PROFILE', // APP2 ICC profile (not MPF)
+  0xEE: () => true // APP14 Adobe color transform
+};
+
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+const WEBP_METADATA_CHUNKS = ['EXIF', 'XMP '];
+
+// VP8X header flags that announce the chunks we drop
+const WEBP_FLAG_EXIF = 0x08;
+const WEBP_FLAG_XMP = 0x04;
+
+const readAscii = (bytes, offset, length) =>
+  String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+/**
+ * 'jpeg', 'png', 'webp' or null, from the file signature
+ */
+export function detectImageFormat(bytes) {
+  if (bytes.length >= 3 && bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return 'jpeg';
+  if (bytes.length >= 8 && readAscii(bytes, 1, 3) === 'PNG' && bytes[0] === 0x89) return 'png';
+  if (bytes.length >= 12 && readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WEBP') return 'webp';
+  return null;
+}
+
+/**
+ * Orientation tag (0x0112) from a TIFF block, 1 when missing or unreadable
+ */
+function readTiffOrientation(bytes, start, end) {
+  try {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + start, end - start);
+    const littleEndian = view.getUint16(0) === 0x4949;
+    const ifdOffset = view.getUint32(4, littleEndian);
+    const entryCount = view.getUint16(ifdOffset, littleEndian);
+
+    for (let i = 0; i < entryCount; i++) {
+      const entry = ifdOffset + 2 + i * 12;
+      if (view.getUint16(entry, littleEndian) === 0x0112) {
+        return view.getUint16(entry + 8, littleEndian) || 1;
+      }
+    }
+  } catch (_) {
+    // Truncated or malformed EXIF; treat as upright
+  }
+  return 1;
+}
+
+// Some writers prefix the EXIF payload with the JPEG-style "Exif\0\0" header
+const tiffStart = (bytes, offset) => readAscii(bytes, offset, 4) === 'Exif' ? offset + 6 : offset;
+
+function concat(parts) {
+  const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    output.set(part, offset);
+    offset += part.length;
+  });
+  return output;
+}
+
+function stripJpeg(bytes) {
+  const parts = [bytes.subarray(0, 2)];
+  let orientation = 1;
+  let offset = 2;
+
+  while (offset + 4 <= bytes.length) {
+    if (bytes[offset] !== 0xFF) throw new Error('Malformed JPEG segment');
+    const marker = bytes[offset + 1];
+
+    if (marker === 0xFF) { // Fill byte
+      offset++;
+      continue;
+    }
+    if (marker === 0xDA) {
+      // Scan data up to the first EOI; trailing data (e.g. MPF secondary images) can carry EXIF too
+      let end = offset + 2;
+      while (end + 1 < bytes.length && !(bytes[end] === 0xFF && bytes[end + 1] === 0xD9)) end++;
+      parts.push(bytes.subarray(offset, Math.min(end + 2, bytes.length)));
+      return { bytes: concat(parts), orientation };
+    }
+
+    const size = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    const segment = bytes.subarray(offset, offset + 2 + size);
+    const isApp = marker >= 0xE0 && marker <= 0xEF;
+
+    if (marker === 0xE1 && readAscii(segment, 4, 4) === 'Exif') {
+      orientation = readTiffOrientation(segment, 10, segment.length);
+    }
+    if (!(isApp || marker === 0xFE) || (JPEG_KEEP_APP[marker] && JPEG_KEEP_APP[marker](segment))) {
+      parts.push(segment);
+    }
+    offset += 2 + size;
+  }
+
+  throw new Error('JPEG has no image data');
+}
+
+function stripPng(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const parts = [bytes.subarray(0, 8)];
+  let orientation = 1;
+  let offset = 8;
+
+  while (offset + 12 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = readAscii(bytes, offset + 4, 4);
+    const chunkEnd = offset + 12 + length;
+
+    if (type === 'eXIf') {
+      orientation = readTiffOrientation(bytes, offset + 8, offset + 8 + length);
+    }
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      parts.push(bytes.subarray(offset, chunkEnd));
+    }
+    offset = chunkEnd;
+    if (type === 'IEND') return { bytes: concat(parts), orientation };
+  }
+
+  throw new Error('PNG has no IEND chunk');
+}
+
+function stripWebp(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+  const riffEnd = Math.min(bytes.length, 8 + view.getUint32(4, true));
+  const parts = [];
+  let orientation = 1;
+  let offset = 12;
+
+  while (offset + 8 <= riffEnd) {
+    const type = readAscii(bytes, offset, 4);
+    const size = view.getUint32(offset + 4, true);
+    const chunkEnd = Math.min(riffEnd, offset + 8 + size + (size % 2)); // Chunks are padded to even sizes
+
+    if (type === 'EXIF') {
+      orientation = readTiffOrientation(bytes, tiffStart(bytes, offset + 8), offset + 8 + size);
+    }
+    if (type === 'VP8X') {
+      const chunk = bytes.slice(offset, chunkEnd);
+      chunk[8] &= ~(WEBP_FLAG_EXIF | WEBP_FLAG_XMP);
+      parts.push(chunk);
+    } else if (!WEBP_METADATA_CHUNKS.includes(type)) {
+      parts.push(bytes.subarray(offset, chunkEnd));
+    }
+    offset = chunkEnd;
+  }
+
+  const body = concat(parts);
+  const header = new Uint8Array(12);
+  header.set(bytes.subarray(0, 12));
+  new DataView(header.buffer).setUint32(4, body.length + 4, true);
+  return { bytes: concat([header, body]), orientation };
+}
+
+const STRIPPERS = { jpeg: stripJpeg, png: stripPng, webp: stripWebp };
+
+/**
+ * Copies the image without EXIF/XMP/IPTC/text metadata, leaving pixels untouched.
+ * Resolves with { blob, orientation, format }, or null for formats we can't strip
+ * (those must be re-encoded instead). orientation is the EXIF orientation that was
+ * removed; anything but 1 means the pixels still need rotating.
+ */
+export async function stripImageMetadata(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const format = detectImageFormat(bytes);
+  if (!format) return null;
+
+  const { bytes: stripped, orientation } = STRIPPERS[format](bytes);
+  return {
+    blob: new Blob([stripped], { type: `image/${format}` }),
+    orientation,
+    format
+  };
+}
@@ -0,0 +1,252 @@
+// Resize + encode steps of the image compression pipeline
+// No DOM access here: runs in the compression worker and on the main thread
+
+// Compression profiles; the one used is picked per device/network (see selectCompressionProfile)
+export const COMPRESSION_PROFILES = {
+  dataSaver: {
+    NAME: 'dataSaver',
+    MAX_LONG_EDGE: 1280,
+    TARGET_MAX_BYTES: 500_000,
+    QUALITY_MAX: 0.80,
+    QUALITY_MIN: 0.50
+  },
+  standard: {
+    NAME: 'standard',
+    MAX_LONG_EDGE: 1800,
+    TARGET_MAX_BYTES: 1_200_000, // 1.2MB target
+    QUALITY_MAX: 0.85,
+    QUALITY_MIN: 0.60
+  },
+  // Fine piping and fondant texture survive at this size
+  highDetail: {
+    NAME: 'highDetail',
+    MAX_LONG_EDGE: 2400,
+    TARGET_MAX_BYTES: 2_500_000,
+    QUALITY_MAX: 0.92,
+    QUALITY_MIN: 0.70
+  }
+};
+
+export const IMAGE_CONFIG = {
+  ...COMPRESSION_PROFILES.standard,
+  // Output formats in order of preference; the first one the browser can encode is used.
+  // The uploaded photo is what the pricing analysis and the cart read, so it stays WebP or JPEG
+  FORMATS: ['image/webp', 'image/jpeg'],
+  // Thumbnails and medium copies are only displayed; AVIF is opt-in for those
+  RENDITION_FORMATS: import.meta.env.VITE_COMPRESSION_AVIF === 'true'
+    ? ['image/avif', 'image/webp', 'image/jpeg']
+    : ['image/webp', 'image/jpeg'],
+  MAX_ENCODES: 5, // Per photo, including the first try at QUALITY_MAX
+  QUALITY_PRECISION: 0.05 // Stop searching once the quality range is this narrow
+};
+
+// Smaller copies uploaded next to every photo, for thumbnails and mid-size previews
+export const RENDITIONS = {
+  thumb: { MAX_LONG_EDGE: 320, QUALITY: 0.70 },
+  medium: { MAX_LONG_EDGE: 800, QUALITY: 0.80 }
+};
+
+const FORMAT_EXTENSIONS = { 'image/avif': 'avif', 'image/webp': 'webp', 'image/jpeg': 'jpg' };
+
+/**
+ * Converts canvas to blob with fallback support
+ */
+function canvasToBlobAsync(canvas, type, quality) {
+  if ('convertToBlob' in canvas) {
+    return canvas.convertToBlob({ type, quality });
+  }
+  return new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+}
+
+const encoderSupport = new Map(); // type -> Promise<boolean>
+
+/**
+ * Whether this environment can encode the type. Browsers without an encoder
+ * hand back a PNG instead, so a tiny canvas is encoded once to find out.
+ */
+function canEncode(type, createCanvas) {
+  if (type === 'image/jpeg') return Promise.resolve(true);
+  if (!encoderSupport.has(type)) {
+    encoderSupport.set(type, canvasToBlobAsync(createCanvas(2, 2), type, 0.5)
+      .then(blob => Boolean(blob) && blob.type === type)
+      .catch(() => false));
+  }
+  return encoderSupport.get(type);
+}
+
+/**
+ * First of the formats (IMAGE_CONFIG.FORMATS by default) this environment can encode
+ */
+async function pickOutputFormat(createCanvas, formats = IMAGE_CONFIG.FORMATS) {
+  for (const type of formats) {
+    if (await canEncode(type, createCanvas)) return type;
+  }
+  return 'image/jpeg';
+}
+
+// dHash grid: 9x8 samples give 8 left/right comparisons per row, 64 bits in all
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+// Intermediate size so the tiny grid averages the photo instead of sampling a few pixels
+const HASH_PRESCALE = 64;
+
+/**
+ * Perceptual difference hash (dHash) of an image as 16 hex characters.
+ * Near-identical photos (re-saved, resized, recompressed) differ in only a few bits.
+ */
+export function computeDHash(source, createCanvas) {
+  const prescaled = createCanvas(HASH_PRESCALE, HASH_PRESCALE);
+  const prescaledCtx = prescaled.getContext('2d');
+  prescaledCtx.imageSmoothingEnabled = true;
+  prescaledCtx.imageSmoothingQuality = 'high';
+  prescaledCtx.drawImage(source, 0, 0, HASH_PRESCALE, HASH_PRESCALE);
+
+  const grid = createCanvas(HASH_WIDTH, HASH_HEIGHT);
+  const gridCtx = grid.getContext('2d', { willReadFrequently: true });
+  gridCtx.imageSmoothingEnabled = true;
+  gridCtx.drawImage(prescaled, 0, 0, HASH_WIDTH, HASH_HEIGHT);
+  const { data } = gridCtx.getImageData(0, 0, HASH_WIDTH, HASH_HEIGHT);
+
+  const luminance = (x, y) => {
+    const i = (y * HASH_WIDTH + x) * 4;
+    return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+  };
+
+  let hash = '';
+  let nibble = 0;
+  let bits = 0;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      nibble = (nibble << 1) | (luminance(x, y) > luminance(x + 1, y) ? 1 : 0);
+      if (++bits === 4) {
+        hash += nibble.toString(16);
+        nibble = 0;
+        bits = 0;
+      }
+    }
+  }
+  return hash;
+}
+
+/**
+ * Encodes the RENDITIONS of an image in the best of IMAGE_CONFIG.RENDITION_FORMATS, one pass each.
+ * Renditions that wouldn't be smaller than the image itself are left out.
+ * Resolves with { thumb: { blob, ext, width, height, fullWidth }, medium: ... };
+ * fullWidth is the width of the image they were made from, i.e. the uploaded photo
+ */
+export async function encodeRenditions(source, createCanvas) {
+  const type = await pickOutputFormat(createCanvas, IMAGE_CONFIG.RENDITION_FORMATS);
+  const longEdge = Math.max(source.width, source.height);
+  const renditions = {};
+
+  for (const [name, rendition] of Object.entries(RENDITIONS)) {
+    if (rendition.MAX_LONG_EDGE >= longEdge) continue;
+    const scale = rendition.MAX_LONG_EDGE / longEdge;
+    const width = Math.max(1, Math.round(source.width * scale));
+    const height = Math.max(1, Math.round(source.height * scale));
+
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.imageSmoothingQuality = 'high';
+    if (type === 'image/jpeg') {
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.drawImage(source, 0, 0, width, height);
+
+    const blob = await canvasToBlobAsync(canvas, type, rendition.QUALITY);
+    renditions[name] = { blob, ext: FORMAT_EXTENSIONS[type], width, height, fullWidth: source.width };
+  }
+  return renditions;
+}
+
+/**
+ * Whether a decoded image can be uploaded as-is
+ */
+export function isAlreadyOptimized(width, height, byteSize, profile = IMAGE_CONFIG) {
+  return Math.max(width, height) <= profile.MAX_LONG_EDGE && byteSize <= profile.TARGET_MAX_BYTES;
+}
+
+/**
+ * Highest quality that fits TARGET_MAX_BYTES, found by binary search between
+ * QUALITY_MIN and QUALITY_MAX. When nothing fits, the QUALITY_MIN encode is kept.
+ */
+async function encodeToTarget(canvas, type, profile, onProgress) {
+  let encodes = 0;
+  const encode = async (quality) => {
+    onProgress({ step: 'encoding', attempt: ++encodes });
+    const blob = await canvasToBlobAsync(canvas, type, quality);
+    return { blob, quality };
+  };
+
+  // Most photos fit at full quality; no search needed
+  const first = await encode(profile.QUALITY_MAX);
+  if (first.blob.size <= profile.TARGET_MAX_BYTES) return { ...first, encodes };
+
+  let best = null;
+  let low = profile.QUALITY_MIN;
+  let high = profile.QUALITY_MAX; // Known to be too large
+  while (encodes < IMAGE_CONFIG.MAX_ENCODES - 1 && high - low > IMAGE_CONFIG.QUALITY_PRECISION) {
+    const attempt = await encode((low + high) / 2);
+    if (attempt.blob.size <= profile.TARGET_MAX_BYTES) {
+      best = attempt;
+      low = attempt.quality;
+    } else {
+      high = attempt.quality;
+    }
+  }
+
+  if (!best) best = await encode(profile.QUALITY_MIN);
+  return { ...best, encodes };
+}
+
+/**
+ * Resizes a decoded image and encodes it at the highest quality that fits the
+ * profile's TARGET_MAX_BYTES, as WebP or JPEG (first one supported).
+ * createCanvas(width, height) supplies the canvas for the current environment.
+ * onProgress({ step, attempt }) reports 'resizing' and each 'encoding' pass.
+ * The result includes the perceptual hash of the resized image, the profile used
+ * and the encoded RENDITIONS.
+ */
+export async function resizeAndEncode(bmp, createCanvas, onProgress = () => {}, profile = IMAGE_CONFIG) {
+  const srcW = bmp.width;
+  const srcH = bmp.height;
+  const longEdge = Math.max(srcW, srcH);
+
+  // Calculate new dimensions
+  const scale = Math.min(1, profile.MAX_LONG_EDGE / longEdge);
+  const dstW = Math.max(1, Math.round(srcW * scale));
+  const dstH = Math.max(1, Math.round(srcH * scale));
+
+  onProgress({ step: 'resizing' });
+  const canvas = createCanvas(dstW, dstH);
+  const ctx = canvas.getContext('2d', { alpha: true });
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(bmp, 0, 0, dstW, dstH);
+
+  const type = await pickOutputFormat(createCanvas);
+  if (type === 'image/jpeg') {
+    // JPEG has no transparency; put a white background behind it
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, dstW, dstH);
+  }
+
+  const { blob, quality, encodes } = await encodeToTarget(canvas, type, profile, onProgress);
+  const renditions = await encodeRenditions(canvas, createCanvas);
+
+  return {
+    blob,
+    ext: FORMAT_EXTENSIONS[type],
+    format: type,
+    quality: Math.round(quality * 100) / 100,
+    encodes,
+    profile: profile.NAME,
+    perceptualHash: computeDHash(canvas, createCanvas),
+    renditions,
+    dimensions: { width: dstW, height: dstH },
+    originalDimensions: { width: srcW, height: srcH }
+  };
+}
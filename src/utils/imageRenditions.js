@@ -0,0 +1,51 @@
+// Thumbnail/medium renditions of uploaded photos: row columns and srcset
+// Gallery items carry renditionUrls { thumb, medium, widths } once the renditions are uploaded;
+// widths { full, thumb, medium } are the actual pixel widths, stored in the imagewidths column
+
+import { RENDITIONS } from './imagePipeline.js';
+
+const isRemoteUrl = (url) => typeof url === 'string' && /^https?:\/\//.test(url);
+
+/**
+ * Rendition URLs and widths of the uploaded items, in the same order as their publicUrls
+ * (the imagethumbs / imagemediums / imagewidths columns)
+ */
+export function getRenditionColumns(items) {
+  const uploaded = items.filter(item => item.publicUrl);
+  const columns = {};
+  Object.keys(RENDITIONS).forEach(name => {
+    columns[name] = uploaded.map(item => (item.renditionUrls && item.renditionUrls[name]) || null);
+  });
+  columns.widths = uploaded.map(item => (item.renditionUrls && item.renditionUrls.widths) || null);
+  return columns;
+}
+
+/**
+ * renditionUrls for photo `index` of an uploadpricing2 row, or null
+ */
+export function renditionUrlsFromRow(row, index) {
+  const thumb = Array.isArray(row.imagethumbs) ? row.imagethumbs[index] : null;
+  const medium = Array.isArray(row.imagemediums) ? row.imagemediums[index] : null;
+  const widths = Array.isArray(row.imagewidths) ? row.imagewidths[index] : null;
+  return thumb || medium ? { thumb: thumb || null, medium: medium || null, widths: widths || null } : null;
+}
+
+/**
+ * srcSet for a gallery item shown from its remote URL, or undefined.
+ * Local previews are already in memory, so they keep their single src; so do photos
+ * whose widths weren't stored (older rows), since a guessed `w` picks the wrong file.
+ */
+export function getSrcSet(item) {
+  if (!isRemoteUrl(item.dataUrl) || !item.renditionUrls || !item.renditionUrls.widths) return undefined;
+
+  const widths = item.renditionUrls.widths;
+  const dimensions = item.compressionInfo && item.compressionInfo.dimensions;
+  const fullWidth = widths.full || (dimensions && dimensions.width);
+  if (!fullWidth) return undefined;
+
+  const candidates = Object.keys(RENDITIONS)
+    .filter(name => item.renditionUrls[name] && widths[name])
+    .map(name => `${item.renditionUrls[name]} ${widths[name]}w`);
+  candidates.push(`${item.dataUrl} ${fullWidth}w`);
+  return candidates.join(', ');
+}
@@ -0,0 +1,114 @@
+// Image search for cake designs, fetched as data and rendered by our own results grid
+// A query fans out to every enabled provider (searchProviders.js); their results are tagged
+// with the source, merged in provider priority order and deduplicated
+//
+// Results: { id, title, imageUrl, thumbnailUrl, width, height, contextUrl, displayLink, source, sourceLabel }
+// imageUrl is the original full-size image; history results also carry the priced quote's rowid
+
+import { getEnabledProviders } from './searchProviders.js';
+import { getFilters } from './searchFilters.js';
+
+export const SEARCH_CONFIG = {
+  PAGE_SIZE: 10 // Per provider; the Custom Search JSON API returns at most 10 per request
+};
+
+// Same query and page within a session: API quota is per request
+const cache = new Map();
+
+/**
+ * Key for spotting the same image from different sources: no protocol,
+ * no query string (CDN size and version parameters), lowercase host
+ */
+export function getImageKey(url) {
+  if (!url || url.startsWith('data:')) return url;
+  try {
+    const parsed = new URL(url, window.location.origin);
+    return `${parsed.host.toLowerCase()}${parsed.pathname}`;
+  } catch (error) {
+    return url;
+  }
+}
+
+/**
+ * Merges provider results in order, dropping images an earlier result already has
+ * (same image URL, or the same design hash among our priced designs)
+ */
+export function mergeResults(resultLists) {
+  const seen = new Set();
+  const merged = [];
+  resultLists.forEach(items => {
+    items.forEach(item => {
+      const keys = [getImageKey(item.imageUrl), item.imageHash ? `hash:${item.imageHash}` : null].filter(Boolean);
+      if (keys.some(key => seen.has(key))) return;
+      keys.forEach(key => seen.add(key));
+      merged.push(item);
+    });
+  });
+  return merged;
+}
+
+/**
+ * Searches every enabled provider for one page of results (page starts at 1),
+ * narrowed by the active filter ids (searchFilters.js).
+ * Resolves with { items, totalResults, page, totalPages, sources }; sources lists
+ * { id, label, totalResults, error } per provider. A failing provider is skipped;
+ * only when all of them fail does the search reject. Aborting rejects with an AbortError.
+ */
+export async function searchImages(query, { page = 1, filters: filterIds = [], signal = null } = {}) {
+  const trimmed = (query || '').trim();
+  if (!trimmed) {
+    return { items: [], totalResults: 0, page: 1, totalPages: 1, sources: [] };
+  }
+
+  const providers = getEnabledProviders();
+  const filters = getFilters(filterIds);
+  const key = [
+    providers.map(provider => provider.id).join(','),
+    filters.map(filter => filter.id).join(','),
+    trimmed.toLowerCase(),
+    page
+  ].join('|');
+  if (cache.has(key)) return cache.get(key);
+
+  const settled = await Promise.allSettled(providers.map(provider =>
+    provider.search(trimmed, { page, pageSize: SEARCH_CONFIG.PAGE_SIZE, signal, filters })
+  ));
+  if (signal && signal.aborted) {
+    throw new DOMException('Search cancelled', 'AbortError');
+  }
+
+  const sources = providers.map((provider, index) => {
+    const outcome = settled[index];
+    if (outcome.status === 'rejected') {
+      console.warn(`Search provider "${provider.id}" failed:`, outcome.reason);
+    }
+    return {
+      id: provider.id,
+      label: provider.label,
+      totalResults: outcome.status === 'fulfilled' ? outcome.value.totalResults : 0,
+      error: outcome.status === 'rejected' ? outcome.reason : null
+    };
+  });
+  const fulfilled = settled.filter(outcome => outcome.status === 'fulfilled').map(outcome => outcome.value);
+  if (fulfilled.length === 0) {
+    throw sources[0].error;
+  }
+
+  const items = mergeResults(providers.map((provider, index) => {
+    const outcome = settled[index];
+    if (outcome.status !== 'fulfilled') return [];
+    return outcome.value.items.map(item => ({ ...item, source: provider.id, sourceLabel: provider.label }));
+  }));
+  const result = {
+    items,
+    totalResults: fulfilled.reduce((sum, value) => sum + value.totalResults, 0),
+    page,
+    totalPages: Math.max(1, ...fulfilled.map(value => value.totalPages)),
+    sources
+  };
+  // Partial results are retried next time instead of being cached
+  if (sources.every(source => !source.error)) {
+    cache.set(key, result);
+  }
+  return result;
+}
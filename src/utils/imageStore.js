@@ -0,0 +1,88 @@
+// Minimal IndexedDB wrapper for image blobs
+// sessionStorage can't hold blobs (and its ~5MB quota fills fast), so images live here
+// The upload service worker (public/upload-sw.js) opens the same database; keep its version in step
+
+export const DB_NAME = 'cake-genie';
+export const DB_VERSION = 2;
+export const IMAGE_STORE = 'images';
+export const UPLOAD_QUEUE_STORE = 'uploadqueue'; // Added in version 2
+
+let dbPromise = null;
+
+/**
+ * Opens (and upgrades) the database once per page load
+ */
+function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(IMAGE_STORE)) {
+        db.createObjectStore(IMAGE_STORE);
+      }
+      if (!db.objectStoreNames.contains(UPLOAD_QUEUE_STORE)) {
+        db.createObjectStore(UPLOAD_QUEUE_STORE);
+      }
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer version (another tab, or the service worker) upgrade the database
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+  });
+
+  // Let the next call retry if opening failed (e.g. private mode)
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+/**
+ * Runs one request against a store and resolves with its result
+ */
+async function runRequest(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function putBlob(key, blob, storeName = IMAGE_STORE) {
+  return runRequest(storeName, 'readwrite', store => store.put(blob, key));
+}
+
+export function getBlob(key, storeName = IMAGE_STORE) {
+  return runRequest(storeName, 'readonly', store => store.get(key));
+}
+
+export function deleteBlob(key, storeName = IMAGE_STORE) {
+  return runRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+export function getAllKeys(storeName = IMAGE_STORE) {
+  return runRequest(storeName, 'readonly', store => store.getAllKeys());
+}
+
+export function getAllBlobs(storeName = IMAGE_STORE) {
+  return runRequest(storeName, 'readonly', store => store.getAll());
+}
+
+export function clearBlobs(storeName = IMAGE_STORE) {
+  return runRequest(storeName, 'readwrite', store => store.clear());
+}
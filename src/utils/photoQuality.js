@@ -0,0 +1,150 @@
+// Local photo quality checks, run before upload
+// Blurry, dark or screenshot-like photos give the AI little to price from; the customer
+// sees why and can keep the photo anyway
+
+import { decodeImageFile } from './imageCompression.js';
+
+export const PHOTO_QUALITY_CONFIG = {
+  ENABLED: import.meta.env.VITE_PHOTO_QUALITY_CHECKS !== 'false',
+  ANALYSIS_EDGE: 512, // Photos are measured at this long edge so thresholds don't depend on camera size
+  BLUR_MIN_VARIANCE: 60, // Laplacian variance below this looks out of focus
+  DARK_MAX_MEAN: 55,
+  DARK_PIXEL_SHARE: 0.5, // Share of pixels darker than 30
+  BRIGHT_MIN_MEAN: 215,
+  BRIGHT_PIXEL_SHARE: 0.6, // Share of pixels brighter than 235; white backdrops alone stay below
+  MIN_EFFECTIVE_EDGE: 800, // Long edge after cropping; smaller photos lose decoration detail
+  // Screenshots of chats/listings: a flat background, few colors and many sharp text edges
+  TEXT_EDGE_SHARE: 0.05,
+  TEXT_DOMINANT_SHARE: 0.3,
+  TEXT_MAX_PALETTE: 200
+};
+
+export const QUALITY_WARNINGS = {
+  blurry: 'Photo looks blurry — retake?',
+  dark: 'Photo looks too dark — retake in better light?',
+  overexposed: 'Photo looks washed out — retake with less light or flash?',
+  lowResolution: 'Photo is small after cropping — details may be missed. Use a larger photo?',
+  textHeavy: 'This looks like a screenshot with lots of text — crop to just the cake?'
+};
+
+const STRONG_EDGE = 100; // |Laplacian| of a crisp text stroke
+const PALETTE_MIN_SHARE = 0.001; // Colors covering less than this don't count toward the palette
+
+/**
+ * Measures sharpness, exposure and screenshot-likeness of RGBA pixels
+ */
+export function measureImageData({ data, width, height }) {
+  const pixelCount = width * height;
+  const gray = new Float32Array(pixelCount);
+  const colorCounts = new Uint32Array(4096); // 4 bits per channel
+  let luminanceSum = 0;
+  let darkPixels = 0;
+  let brightPixels = 0;
+
+  for (let i = 0; i < pixelCount; i++) {
+    const r = data[i * 4];
+    const g = data[i * 4 + 1];
+    const b = data[i * 4 + 2];
+    const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+    gray[i] = luminance;
+    luminanceSum += luminance;
+    if (luminance < 30) darkPixels++;
+    if (luminance > 235) brightPixels++;
+    colorCounts[((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4)]++;
+  }
+
+  // 4-neighbour Laplacian over the interior
+  let sum = 0;
+  let sumSquares = 0;
+  let strongEdges = 0;
+  let samples = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = 4 * gray[i] - gray[i - 1] - gray[i + 1] - gray[i - width] - gray[i + width];
+      sum += laplacian;
+      sumSquares += laplacian * laplacian;
+      if (Math.abs(laplacian) > STRONG_EDGE) strongEdges++;
+      samples++;
+    }
+  }
+  const mean = samples ? sum / samples : 0;
+
+  let dominantCount = 0;
+  let paletteSize = 0;
+  colorCounts.forEach(count => {
+    if (count > dominantCount) dominantCount = count;
+    if (count >= pixelCount * PALETTE_MIN_SHARE) paletteSize++;
+  });
+
+  return {
+    sharpness: samples ? sumSquares / samples - mean * mean : 0,
+    meanLuminance: luminanceSum / pixelCount,
+    darkShare: darkPixels / pixelCount,
+    brightShare: brightPixels / pixelCount,
+    strongEdgeShare: samples ? strongEdges / samples : 0,
+    dominantColorShare: dominantCount / pixelCount,
+    paletteSize
+  };
+}
+
+/**
+ * Warnings ({ code, message }) for measured metrics of a width x height photo
+ */
+export function getQualityWarnings(metrics, width, height) {
+  const config = PHOTO_QUALITY_CONFIG;
+  const codes = [];
+
+  const looksLikeTextScreenshot = metrics.strongEdgeShare > config.TEXT_EDGE_SHARE &&
+    metrics.dominantColorShare > config.TEXT_DOMINANT_SHARE &&
+    metrics.paletteSize < config.TEXT_MAX_PALETTE;
+
+  // Screenshots also measure as sharp-but-washed-out; the screenshot warning is the useful one
+  if (looksLikeTextScreenshot) {
+    codes.push('textHeavy');
+  } else {
+    if (metrics.sharpness < config.BLUR_MIN_VARIANCE) {
+      codes.push('blurry');
+    }
+    if (metrics.meanLuminance < config.DARK_MAX_MEAN || metrics.darkShare > config.DARK_PIXEL_SHARE) {
+      codes.push('dark');
+    } else if (metrics.meanLuminance > config.BRIGHT_MIN_MEAN && metrics.brightShare > config.BRIGHT_PIXEL_SHARE) {
+      codes.push('overexposed');
+    }
+  }
+  if (Math.max(width, height) < config.MIN_EFFECTIVE_EDGE) {
+    codes.push('lowResolution');
+  }
+
+  return codes.map(code => ({ code, message: QUALITY_WARNINGS[code] }));
+}
+
+/**
+ * Analyses a photo (after cropping) in the browser.
+ * Resolves with { metrics, warnings, width, height }, or null when the photo
+ * can't be analysed; a failed check never blocks an upload.
+ */
+export async function analyzePhotoQuality(file) {
+  let image = null;
+  try {
+    image = await decodeImageFile(file);
+    const { width, height } = image;
+    const scale = Math.min(1, PHOTO_QUALITY_CONFIG.ANALYSIS_EDGE / Math.max(width, height));
+    const sampleWidth = Math.max(3, Math.round(width * scale));
+    const sampleHeight = Math.max(3, Math.round(height * scale));
+
+    const canvas = Object.assign(document.createElement('canvas'), { width: sampleWidth, height: sampleHeight });
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.fillStyle = '#ffffff'; // Transparent PNGs are judged as they'd look on a page
+    ctx.fillRect(0, 0, sampleWidth, sampleHeight);
+    ctx.drawImage(image, 0, 0, sampleWidth, sampleHeight);
+
+    const metrics = measureImageData(ctx.getImageData(0, 0, sampleWidth, sampleHeight));
+    return { metrics, warnings: getQualityWarnings(metrics, width, height), width, height };
+  } catch (error) {
+    console.warn('Photo quality check failed:', error);
+    return null;
+  } finally {
+    if (image && image.close) image.close();
+  }
+}
@@ -0,0 +1,168 @@
+// Quote watching service: waits for the AI to price an uploadpricing2 row
+// Realtime first, polling with backoff when the channel is unavailable
+
+import { listenForPricingUpdates, fetchPricingData, cleanupChannel } from '../supabase.js';
+
+export const QUOTE_WATCH_CONFIG = {
+  FIRST_POLL_DELAY_MS: 5000,
+  POLL_INTERVAL_MIN_MS: 3000,
+  POLL_INTERVAL_MAX_MS: 30000,
+  POLL_BACKOFF_FACTOR: 1.6,
+  SLOW_AFTER_MS: 40000 // Matches the 40s the UI promises
+};
+
+const hasPrice = (data) => data && data.priceaddon !== null && data.priceaddon !== undefined;
+
+/**
+ * Watches a row until it has a priceaddon.
+ *
+ * Callbacks:
+ * - onPriced(row): called once with the priced row, then the watcher stops
+ * - onSlow(): called once if no price arrived within SLOW_AFTER_MS (watching continues)
+ * - onStatus(mode): 'realtime' or 'polling', for diagnostics
+ *
+ * Returns { cancel, refresh }. After cancel() no callback fires again.
+ */
+export function watchQuote(rowid, { onPriced, onSlow = null, onStatus = null } = {}) {
+  let cancelled = false;
+  let channel = null;
+  let pollTimer = null;
+  let slowTimer = null;
+  let pollDelay = QUOTE_WATCH_CONFIG.POLL_INTERVAL_MIN_MS;
+  let isChecking = false;
+  let subscriptionToken = 0;
+  let channelStatus = null; // Last status of the current channel
+
+  const clearPollTimer = () => {
+    if (pollTimer) {
+      clearTimeout(pollTimer);
+      pollTimer = null;
+    }
+  };
+
+  const teardown = () => {
+    cancelled = true;
+    clearPollTimer();
+    if (slowTimer) {
+      clearTimeout(slowTimer);
+      slowTimer = null;
+    }
+    if (channel) {
+      cleanupChannel(channel);
+      channel = null;
+    }
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    window.removeEventListener('online', handleOnline);
+  };
+
+  const deliver = (row) => {
+    if (cancelled) return;
+    teardown();
+    onPriced(row);
+  };
+
+  // Single fetch of the row; delivers the price if it is there
+  const checkNow = async () => {
+    if (cancelled || isChecking) return false;
+    isChecking = true;
+    try {
+      const data = await fetchPricingData(rowid);
+      if (hasPrice(data)) {
+        deliver(data);
+        return true;
+      }
+    } catch (error) {
+      console.warn('Quote check failed:', error);
+    } finally {
+      isChecking = false;
+    }
+    return false;
+  };
+
+  // The only place the poll timer is set; pollDelay is always the delay of the pending poll
+  const schedulePoll = (delay) => {
+    if (cancelled) return;
+    clearPollTimer();
+    pollDelay = delay;
+    pollTimer = setTimeout(async () => {
+      pollTimer = null;
+      const found = await checkNow();
+      // A status change may have rescheduled while we were checking
+      if (!found && !cancelled && !pollTimer) {
+        schedulePoll(Math.min(QUOTE_WATCH_CONFIG.POLL_INTERVAL_MAX_MS, pollDelay * QUOTE_WATCH_CONFIG.POLL_BACKOFF_FACTOR));
+      }
+    }, delay);
+  };
+
+  const startPolling = () => {
+    if (cancelled) return;
+    if (onStatus) onStatus('polling');
+    schedulePoll(QUOTE_WATCH_CONFIG.POLL_INTERVAL_MIN_MS);
+  };
+
+  const subscribe = () => {
+    if (cancelled) return;
+    // Status events from a channel we've replaced must not touch polling
+    const token = ++subscriptionToken;
+    channelStatus = null;
+    if (channel) {
+      cleanupChannel(channel);
+      channel = null;
+    }
+
+    channel = listenForPricingUpdates(rowid, deliver, (status) => {
+      if (cancelled || token !== subscriptionToken) return;
+      channelStatus = status;
+      if (status === 'SUBSCRIBED') {
+        // Realtime is live: drop to a slow safety poll, and check once in
+        // case the price landed before the subscription was ready
+        if (onStatus) onStatus('realtime');
+        schedulePoll(QUOTE_WATCH_CONFIG.POLL_INTERVAL_MAX_MS);
+        checkNow();
+      } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT' || status === 'CLOSED') {
+        console.warn(`Realtime channel ${status}, falling back to polling`);
+        startPolling();
+      }
+    });
+
+    if (channel) {
+      // Safety net until the channel reports its status, in case realtime silently never delivers
+      schedulePoll(QUOTE_WATCH_CONFIG.FIRST_POLL_DELAY_MS);
+    } else {
+      startPolling();
+    }
+  };
+
+  // A healthy channel is kept; only a dropped one is replaced
+  const resubscribeIfDown = (found) => {
+    if (!found && !cancelled && channelStatus !== 'SUBSCRIBED') subscribe();
+  };
+
+  // Tabs put to sleep miss realtime events; catch up as soon as we're back
+  function handleVisibilityChange() {
+    if (document.visibilityState !== 'visible' || cancelled) return;
+    checkNow().then(resubscribeIfDown);
+  }
+
+  function handleOnline() {
+    if (cancelled) return;
+    checkNow().then(resubscribeIfDown);
+  }
+
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+  window.addEventListener('online', handleOnline);
+
+  if (onSlow) {
+    slowTimer = setTimeout(() => {
+      slowTimer = null;
+      if (!cancelled) onSlow();
+    }, QUOTE_WATCH_CONFIG.SLOW_AFTER_MS);
+  }
+
+  subscribe();
+
+  return {
+    cancel: teardown,
+    refresh: checkNow
+  };
+}
@@ -0,0 +1,189 @@
+// Resumable (TUS 1.0.0) uploads to Supabase Storage
+// Sends the file in chunks so a dropped mobile connection only costs the current chunk
+
+export const RESUMABLE_UPLOAD_CONFIG = {
+  // Supabase only accepts 6 MB chunks
+  CHUNK_SIZE: 6 * 1024 * 1024,
+  // Waits between retries of a failed chunk; the upload fails after the last one
+  RETRY_DELAYS: [1000, 3000, 5000, 10000, 20000],
+  TUS_VERSION: '1.0.0'
+};
+
+const abortError = () => new DOMException('Upload cancelled', 'AbortError');
+
+// UTF-8 safe base64 (object names can carry non-ASCII file names)
+function toBase64(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary);
+}
+
+const encodeMetadata = (metadata) => Object.entries(metadata)
+  .map(([key, value]) => `${key} ${toBase64(String(value))}`)
+  .join(',');
+
+/**
+ * One XHR request (fetch can't report upload progress).
+ * Resolves with { status, header(name) }; status is 0 when the network failed.
+ */
+function sendRequest(method, url, { headers = {}, body = null, signal, onUploadProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    const handleAbort = () => xhr.abort();
+
+    xhr.open(method, url);
+    Object.entries(headers).forEach(([key, value]) => xhr.setRequestHeader(key, value));
+
+    if (onUploadProgress) {
+      xhr.upload.onprogress = (event) => onUploadProgress(event.loaded);
+    }
+    xhr.onload = () => {
+      if (signal) signal.removeEventListener('abort', handleAbort);
+      resolve({ status: xhr.status, header: (name) => xhr.getResponseHeader(name) });
+    };
+    xhr.onerror = xhr.ontimeout = () => {
+      if (signal) signal.removeEventListener('abort', handleAbort);
+      resolve({ status: 0, header: () => null });
+    };
+    xhr.onabort = () => reject(abortError());
+
+    if (signal) signal.addEventListener('abort', handleAbort, { once: true });
+    xhr.send(body);
+  });
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timeoutId);
+        reject(abortError());
+      }, { once: true });
+    }
+  });
+}
+
+function waitForOnline(signal) {
+  return new Promise((resolve, reject) => {
+    const handleOnline = () => {
+      if (signal) signal.removeEventListener('abort', handleAbort);
+      resolve();
+    };
+    const handleAbort = () => {
+      window.removeEventListener('online', handleOnline);
+      reject(abortError());
+    };
+    window.addEventListener('online', handleOnline, { once: true });
+    if (signal) signal.addEventListener('abort', handleAbort, { once: true });
+  });
+}
+
+// 409/423 mean the server's offset moved or the upload is locked; worth asking again
+const isRetryable = (status) => status === 0 || status === 409 || status === 423 || status === 429 || status >= 500;
+
+// status lets callers tell a rejected upload (4xx) from one worth retrying later
+const failure = (step, response) =>
+  Object.assign(new Error(`Resumable upload ${step} failed (${response.status || 'network error'})`), { status: response.status });
+
+/**
+ * Uploads a file with the TUS protocol.
+ * onProgress(bytesSent, bytesTotal) is called as bytes go out.
+ * onPause/onResume fire when the device goes offline and comes back;
+ * the upload picks up from the server's offset instead of starting over.
+ */
+export async function uploadResumable(file, {
+  endpoint,
+  headers = {},
+  metadata = {},
+  signal,
+  onProgress = () => {},
+  onPause = () => {},
+  onResume = () => {}
+}) {
+  const baseHeaders = { ...headers, 'Tus-Resumable': RESUMABLE_UPLOAD_CONFIG.TUS_VERSION };
+  const total = file.size;
+  let uploadUrl = null;
+  let offset = 0;
+  let retries = 0;
+
+  // Waits out a failure: offline until back online, otherwise the next retry delay
+  const recover = async (step, response) => {
+    if (!isRetryable(response.status)) throw failure(step, response);
+
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      onPause();
+      await waitForOnline(signal);
+      onResume();
+      return;
+    }
+    if (retries >= RESUMABLE_UPLOAD_CONFIG.RETRY_DELAYS.length) throw failure(step, response);
+    await sleep(RESUMABLE_UPLOAD_CONFIG.RETRY_DELAYS[retries++], signal);
+  };
+
+  // 1. Create the upload
+  while (!uploadUrl) {
+    const response = await sendRequest('POST', endpoint, {
+      headers: {
+        ...baseHeaders,
+        'Upload-Length': String(total),
+        'Upload-Metadata': encodeMetadata(metadata)
+      },
+      signal
+    });
+
+    if (response.status === 201 && response.header('Location')) {
+      uploadUrl = new URL(response.header('Location'), endpoint).toString();
+    } else {
+      await recover('create', response);
+    }
+  }
+
+  onProgress(0, total);
+
+  // 2. Send chunks from the server's offset
+  let needsOffset = false;
+  while (offset < total) {
+    if (needsOffset) {
+      const response = await sendRequest('HEAD', uploadUrl, { headers: baseHeaders, signal });
+      if (response.status === 200 || response.status === 204) {
+        offset = Number(response.header('Upload-Offset')) || 0;
+        needsOffset = false;
+        onProgress(offset, total);
+        continue;
+      }
+      await recover('resume', response);
+      continue;
+    }
+
+    const chunk = file.slice(offset, Math.min(offset + RESUMABLE_UPLOAD_CONFIG.CHUNK_SIZE, total));
+    const chunkStart = offset;
+    const response = await sendRequest('PATCH', uploadUrl, {
+      headers: {
+        ...baseHeaders,
+        'Upload-Offset': String(offset),
+        'Content-Type': 'application/offset+octet-stream'
+      },
+      body: chunk,
+      signal,
+      onUploadProgress: (loaded) => onProgress(Math.min(chunkStart + loaded, total), total)
+    });
+
+    if (response.status === 204 || response.status === 200) {
+      offset = Number(response.header('Upload-Offset')) || chunkStart + chunk.size;
+      retries = 0;
+      onProgress(offset, total);
+    } else {
+      await recover('chunk', response);
+      needsOffset = true;
+    }
+  }
+
+  return { uploadUrl };
+}
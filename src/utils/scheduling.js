@@ -0,0 +1,235 @@
+// Pickup/delivery scheduling rules for the quote
+// Replaces the free date/time inputs of the Liquid page's date-time-modal with checked choices
+
+import { fetchSchedulingRules } from '../supabase.js';
+
+export const SCHEDULING_CONFIG = {
+  // 'supabase' (branches, leadtimes, blackoutdates tables) or 'static' (DEFAULT_SCHEDULING_RULES)
+  SOURCE: import.meta.env.VITE_SCHEDULING_SOURCE || 'supabase',
+  // All dates and store hours are in the branches' local time
+  TIME_ZONE: 'Asia/Manila',
+  // Orders placed after this hour start their lead time the next day
+  CUTOFF_HOUR: 15,
+  SLOT_MINUTES: 60,
+  MAX_DAYS_AHEAD: 60,
+  // Lead time for cake types missing from the table
+  DEFAULT_LEAD_DAYS: 2
+};
+
+export const FULFILLMENT_METHODS = [
+  { value: 'pickup', label: 'Pickup' },
+  { value: 'delivery', label: 'Delivery (Lalamove)' }
+];
+
+// Used when the tables can't be loaded; same shape as the normalized table rows
+export const DEFAULT_SCHEDULING_RULES = {
+  branches: [
+    { branch: 'Cebu', opens: '09:00', closes: '19:00', closedDays: [], pickup: true, delivery: true },
+    { branch: 'Cavite', opens: '09:00', closes: '18:00', closedDays: [], pickup: true, delivery: true }
+  ],
+  // Fondant and stacked tiers need extra days
+  leadTimes: {
+    'Bento': 2,
+    '1 Tier': 2,
+    '1 Tier Fondant': 4,
+    '2 Tier': 4,
+    '2 Tier Fondant': 5,
+    '3 Tier': 5,
+    '3 Tier Fondant': 7,
+    'Square': 2,
+    'Rectangle': 2
+  },
+  blackoutDates: []
+};
+
+function toRules({ branches = [], leadTimes = [], blackoutDates = [] }) {
+  return {
+    branches: branches
+      .filter(row => row.branch && row.opens && row.closes)
+      .map(row => ({
+        branch: row.branch,
+        opens: String(row.opens).slice(0, 5),
+        closes: String(row.closes).slice(0, 5),
+        closedDays: (row.closeddays || []).map(Number),
+        pickup: row.pickup !== false,
+        delivery: row.delivery !== false
+      })),
+    leadTimes: Object.fromEntries(leadTimes
+      .filter(row => row.caketype && Number.isFinite(Number(row.days)))
+      .map(row => [row.caketype, Number(row.days)])),
+    blackoutDates: blackoutDates
+      .filter(row => row.date)
+      .map(row => ({ date: String(row.date).slice(0, 10), branch: row.branch || null, reason: row.reason || '' }))
+  };
+}
+
+let rulesPromise = null;
+
+/**
+ * Loads the scheduling rules once per page load. Falls back to the built-in
+ * rules when the tables are unreachable or have no branches.
+ */
+export function loadSchedulingRules() {
+  if (rulesPromise) return rulesPromise;
+
+  const load = SCHEDULING_CONFIG.SOURCE === 'supabase'
+    ? fetchSchedulingRules().then(toRules)
+    : Promise.resolve(DEFAULT_SCHEDULING_RULES);
+
+  rulesPromise = load
+    .then(rules => {
+      if (rules.branches.length === 0) throw new Error('No branches found');
+      return rules;
+    })
+    .catch(error => {
+      console.warn(`Could not load scheduling rules from ${SCHEDULING_CONFIG.SOURCE}, using built-in rules:`, error);
+      return DEFAULT_SCHEDULING_RULES;
+    });
+
+  return rulesPromise;
+}
+
+// --- Date helpers (dates are 'YYYY-MM-DD', times 'HH:MM') ---
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const fromMinutes = (total) =>
+  `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+
+export function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+/**
+ * Current date and time of day in the branches' time zone
+ */
+export function getLocalNow(now = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: SCHEDULING_CONFIG.TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+// --- Rules ---
+
+export function getBranch(rules, branchName) {
+  return rules.branches.find(branch => branch.branch === branchName) || null;
+}
+
+export function getLeadDays(cakeType, rules) {
+  const days = rules.leadTimes[cakeType];
+  return Number.isFinite(days) ? days : SCHEDULING_CONFIG.DEFAULT_LEAD_DAYS;
+}
+
+/**
+ * Blackout entry for a date, if any. Entries without a branch close every branch.
+ */
+export function getBlackout(date, branchName, rules) {
+  return rules.blackoutDates.find(entry =>
+    entry.date === date && (!entry.branch || entry.branch === branchName)
+  ) || null;
+}
+
+const isBookable = (date, branch, rules) =>
+  !branch.closedDays.includes(dayOfWeek(date)) && !getBlackout(date, branch.branch, rules);
+
+/**
+ * First date the cake can be picked up or delivered, or null when nothing
+ * is open within MAX_DAYS_AHEAD.
+ */
+export function getEarliestDate(cakeType, branchName, rules, now = new Date()) {
+  const branch = getBranch(rules, branchName);
+  if (!branch) return null;
+
+  const localNow = getLocalNow(now);
+  const pastCutoff = localNow.minutes >= SCHEDULING_CONFIG.CUTOFF_HOUR * 60;
+  const firstDate = addDays(localNow.date, getLeadDays(cakeType, rules) + (pastCutoff ? 1 : 0));
+
+  for (let offset = 0; offset <= SCHEDULING_CONFIG.MAX_DAYS_AHEAD; offset++) {
+    const date = addDays(firstDate, offset);
+    if (isBookable(date, branch, rules)) return date;
+  }
+  return null;
+}
+
+export function getLatestDate(now = new Date()) {
+  return addDays(getLocalNow(now).date, SCHEDULING_CONFIG.MAX_DAYS_AHEAD);
+}
+
+/**
+ * Time slots within store hours. The last slot starts one slot before closing.
+ */
+export function getTimeSlots(branchName, rules) {
+  const branch = getBranch(rules, branchName);
+  if (!branch) return [];
+
+  const slots = [];
+  const closes = toMinutes(branch.closes);
+  for (let start = toMinutes(branch.opens); start + SCHEDULING_CONFIG.SLOT_MINUTES <= closes; start += SCHEDULING_CONFIG.SLOT_MINUTES) {
+    slots.push(fromMinutes(start));
+  }
+  return slots;
+}
+
+/**
+ * Checks a schedule ({ method, branch, date, time }) against the rules.
+ * Returns a customer-facing message, or null when the schedule is fine.
+ */
+export function validateSchedule(schedule, cakeType, rules, now = new Date()) {
+  const { method, branch: branchName, date, time } = schedule || {};
+  const branch = getBranch(rules, branchName);
+
+  if (!FULFILLMENT_METHODS.some(option => option.value === method)) {
+    return 'Please choose pickup or delivery.';
+  }
+  if (!branch) {
+    return 'Please choose a branch.';
+  }
+  if (!branch[method]) {
+    return `${method === 'pickup' ? 'Pickup' : 'Delivery'} isn't available from our ${branch.branch} branch.`;
+  }
+  if (!date || !time) {
+    return `Please choose a ${method} date and time.`;
+  }
+
+  const earliest = getEarliestDate(cakeType, branch.branch, rules, now);
+  if (!earliest) {
+    return 'No dates are available right now. Please chat with our Cake Consultants.';
+  }
+  if (date < earliest) {
+    return `${cakeType || 'This cake'} needs at least ${getLeadDays(cakeType, rules)} days. The earliest available date is ${earliest}.`;
+  }
+  if (date > getLatestDate(now)) {
+    return `Please choose a date within the next ${SCHEDULING_CONFIG.MAX_DAYS_AHEAD} days.`;
+  }
+
+  const blackout = getBlackout(date, branch.branch, rules);
+  if (blackout) {
+    return `Our ${branch.branch} branch is closed on ${date}${blackout.reason ? ` (${blackout.reason})` : ''}. Please choose another date.`;
+  }
+  if (branch.closedDays.includes(dayOfWeek(date))) {
+    return `Our ${branch.branch} branch is closed on that day. Please choose another date.`;
+  }
+  if (!getTimeSlots(branch.branch, rules).includes(time)) {
+    return `Please choose a time between ${branch.opens} and ${branch.closes}.`;
+  }
+
+  return null;
+}
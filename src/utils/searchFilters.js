@@ -0,0 +1,76 @@
+// Cake-style filter chips for search results, the React side of the filtered links
+// on shopifysearchpage.liquid (`*+1tier`, `*+2tiers`, `*+3tiers`, `*+rectangle`, `*+cupcakes`, `*+rushorders`)
+//
+// Each filter says how every provider applies it:
+//   shop: product search term (the store's tags), web: words added to the query,
+//   history: cake types (`type` column) and/or words matched in keyword/infoaddon.
+// A provider with no entry for an active filter can't honour it and returns no results.
+
+export const SEARCH_FILTER_GROUPS = [
+  { id: 'style', label: 'Filter by' },
+  { id: 'theme', label: 'Theme' },
+  { id: 'availability', label: 'Availability' }
+];
+
+// One filter per group at a time, like the Liquid links that remove the other tiers
+export const SEARCH_FILTERS = [
+  { id: '1tier', group: 'style', label: '1-tier', shop: '1tier', web: '1 tier', history: { types: ['1 Tier', '1 Tier Fondant'] } },
+  { id: '2tiers', group: 'style', label: '2-tiers', shop: '2tiers', web: '2 tier', history: { types: ['2 Tier', '2 Tier Fondant'] } },
+  { id: '3tiers', group: 'style', label: '3-tiers & above', shop: '3tiers', web: '3 tier', history: { types: ['3 Tier', '3 Tier Fondant'] } },
+  { id: 'rectangle', group: 'style', label: 'Rectangular cakes', shop: 'rectangle', web: 'rectangle', history: { types: ['Rectangle'] } },
+  { id: 'cupcakes', group: 'style', label: 'Cupcakes', shop: 'cupcakes', web: 'cupcakes', history: { terms: ['cupcake'] } },
+  { id: 'birthday', group: 'theme', label: 'Birthday', shop: 'birthday', web: 'birthday', history: { terms: ['birthday'] } },
+  { id: 'wedding', group: 'theme', label: 'Wedding', shop: 'wedding', web: 'wedding', history: { terms: ['wedding'] } },
+  { id: 'christening', group: 'theme', label: 'Christening', shop: 'christening', web: 'christening', history: { terms: ['christening'] } },
+  { id: 'ediblephoto', group: 'theme', label: 'Edible photo', shop: 'edible photo', web: 'edible photo', history: { terms: ['edible photo'] } },
+  // Only our own products can be rush ordered
+  { id: 'rushorders', group: 'availability', label: 'Rush orders', shop: 'rushorders', web: null, history: null }
+];
+
+const FILTERS_BY_ID = Object.fromEntries(SEARCH_FILTERS.map(filter => [filter.id, filter]));
+
+/**
+ * Known filter ids in SEARCH_FILTERS order, at most one per group
+ */
+export function normalizeFilterIds(ids = []) {
+  const byGroup = new Map();
+  ids.forEach(id => {
+    const filter = FILTERS_BY_ID[id];
+    if (filter) byGroup.set(filter.group, filter.id);
+  });
+  const chosen = new Set(byGroup.values());
+  return SEARCH_FILTERS.filter(filter => chosen.has(filter.id)).map(filter => filter.id);
+}
+
+/**
+ * Turns a filter on (replacing another one in its group) or off
+ */
+export function toggleFilter(ids, id) {
+  if (ids.includes(id)) return ids.filter(current => current !== id);
+  return normalizeFilterIds([...ids, id]);
+}
+
+export function getFilters(ids = []) {
+  return normalizeFilterIds(ids).map(id => FILTERS_BY_ID[id]);
+}
+
+/**
+ * The query a provider runs for the active filters, or null when one of them
+ * doesn't apply to that provider. key is 'shop' or 'web'.
+ */
+export function applyFiltersToQuery(query, filters, key) {
+  if (filters.some(filter => !filter[key])) return null;
+  return [query, ...filters.map(filter => filter[key])].join(' ');
+}
+
+/**
+ * Cake types and extra words for the priced-design search, or null when a filter doesn't apply
+ */
+export function getHistoryFilterParams(filters) {
+  if (filters.some(filter => !filter.history)) return null;
+  const types = filters.flatMap(filter => filter.history.types || []);
+  return {
+    types: types.length > 0 ? types : null,
+    terms: filters.flatMap(filter => filter.history.terms || [])
+  };
+}
@@ -0,0 +1,178 @@
+// Search providers: each one turns a query into image results from one source
+// searchImages (imageSearch.js) fans a query out to the enabled providers and merges what they find
+//
+// A provider is { id, label, search(query, { page, pageSize, signal, filters }) }, resolving with
+// { items, totalResults, totalPages }. Items follow the result shape in imageSearch.js;
+// filters are the active SEARCH_FILTERS entries, applied the provider's own way.
+
+import { fakeSearchImages } from './fakeImageSearch.js';
+import { searchPricedDesigns } from '../supabase.js';
+import { renditionUrlsFromRow } from './imageRenditions.js';
+import { CART_CONFIG } from './cart.js';
+import { applyFiltersToQuery, getHistoryFilterParams } from './searchFilters.js';
+
+export const SEARCH_PROVIDER_CONFIG = {
+  // Enabled providers, highest priority first; duplicates keep the earlier provider's result
+  ENABLED: (import.meta.env.VITE_SEARCH_PROVIDERS || 'shop,history,web')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean),
+  // web: Custom Search JSON API through api/image-search.js (which holds the key), or the local fake
+  WEB_SEARCH_ENDPOINT: import.meta.env.VITE_IMAGE_SEARCH_ENDPOINT || '/api/image-search',
+  WEB_CLIENT: import.meta.env.VITE_SEARCH_CLIENT || '', // google | fake; fake in development when empty
+  WEB_MAX_RESULTS: 100, // The API stops paging after the first 100 results
+  // shop: Shopify predictive search, the JSON side of /search?type=product; first page only
+  SHOP_LIMIT: 10,
+  SHOP_THUMBNAIL_WIDTH: 320
+};
+
+const pagesFor = (totalResults, pageSize) => Math.max(1, Math.ceil(totalResults / pageSize));
+const NO_RESULTS = { items: [], totalResults: 0, totalPages: 1 };
+
+export function getWebSearchClient() {
+  const config = SEARCH_PROVIDER_CONFIG;
+  if (config.WEB_CLIENT === 'google' || config.WEB_CLIENT === 'fake') return config.WEB_CLIENT;
+  return import.meta.env.DEV ? 'fake' : 'google';
+}
+
+// --- Web images ---
+function toWebResult(item, index) {
+  const image = item.image || {};
+  return {
+    id: `${item.link}-${index}`,
+    title: item.title || '',
+    imageUrl: item.link,
+    thumbnailUrl: image.thumbnailLink || item.link,
+    width: image.width || null,
+    height: image.height || null,
+    contextUrl: image.contextLink || null,
+    displayLink: item.displayLink || ''
+  };
+}
+
+async function googleSearchImages(query, page, pageSize, signal) {
+  const params = new URLSearchParams({ q: query, page: String(page), num: String(pageSize) });
+  const response = await fetch(`${SEARCH_PROVIDER_CONFIG.WEB_SEARCH_ENDPOINT}?${params.toString()}`, { signal });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Image search failed (${response.status})`);
+  }
+
+  return {
+    items: (data.items || []).map(toWebResult),
+    totalResults: data.totalResults || 0
+  };
+}
+
+const webProvider = {
+  id: 'web',
+  label: 'Web',
+  async search(query, { page, pageSize, signal, filters = [] }) {
+    const filteredQuery = applyFiltersToQuery(query, filters, 'web');
+    if (!filteredQuery) return NO_RESULTS;
+
+    const { items, totalResults } = getWebSearchClient() === 'fake'
+      ? await fakeSearchImages(filteredQuery, { page, pageSize, signal })
+      : await googleSearchImages(filteredQuery, page, pageSize, signal);
+    const reachable = Math.min(totalResults, SEARCH_PROVIDER_CONFIG.WEB_MAX_RESULTS);
+    return { items, totalResults, totalPages: pagesFor(reachable, pageSize) };
+  }
+};
+
+// --- Our Shopify products ---
+// Product images are on the Shopify CDN, which resizes with a width parameter
+function shopifyImageUrl(url, width = null) {
+  const absolute = url.startsWith('//') ? `https:${url}` : url;
+  if (!width) return absolute;
+  const resized = new URL(absolute);
+  resized.searchParams.set('width', String(width));
+  return resized.toString();
+}
+
+const shopProvider = {
+  id: 'shop',
+  label: 'Our cakes',
+  async search(query, { page, signal, filters = [] }) {
+    // Filters are the store's product tags, as in the Liquid search page links
+    const filteredQuery = applyFiltersToQuery(query, filters, 'shop');
+    if (page > 1 || !filteredQuery) return NO_RESULTS;
+
+    const params = new URLSearchParams({
+      q: filteredQuery,
+      'resources[type]': 'product',
+      'resources[limit]': String(SEARCH_PROVIDER_CONFIG.SHOP_LIMIT),
+      'resources[options][unavailable_products]': 'last'
+    });
+    const response = await fetch(`${CART_CONFIG.STORE_ORIGIN}/search/suggest.json?${params.toString()}`, {
+      signal,
+      credentials: 'same-origin'
+    });
+    if (!response.ok) {
+      throw new Error(`Product search failed (${response.status})`);
+    }
+
+    const data = await response.json();
+    const products = (data.resources && data.resources.results && data.resources.results.products) || [];
+    const items = products
+      .filter(product => product.featured_image && product.featured_image.url)
+      .map(product => ({
+        id: `shop-${product.handle}`,
+        title: product.title,
+        imageUrl: shopifyImageUrl(product.featured_image.url),
+        thumbnailUrl: shopifyImageUrl(product.featured_image.url, SEARCH_PROVIDER_CONFIG.SHOP_THUMBNAIL_WIDTH),
+        width: product.featured_image.width || null,
+        height: product.featured_image.height || null,
+        contextUrl: `${CART_CONFIG.STORE_ORIGIN}${product.url}`,
+        displayLink: 'Cakes and Memories'
+      }));
+    return { items, totalResults: items.length, totalPages: 1 };
+  }
+};
+
+// --- Designs we've priced before ---
+const historyProvider = {
+  id: 'history',
+  label: 'Priced before',
+  async search(query, { page, pageSize, filters = [] }) {
+    const filterParams = getHistoryFilterParams(filters);
+    if (!filterParams) return NO_RESULTS;
+
+    const { rows, count } = await searchPricedDesigns(query, {
+      offset: (page - 1) * pageSize,
+      limit: pageSize,
+      ...filterParams
+    });
+    const items = rows.map(row => {
+      const renditionUrls = renditionUrlsFromRow(row, 0);
+      return {
+        id: `history-${row.rowid}`,
+        title: row.infoaddon || row.type || 'Priced design',
+        imageUrl: row.image,
+        thumbnailUrl: (renditionUrls && renditionUrls.thumb) || row.image,
+        width: null,
+        height: null,
+        contextUrl: null,
+        displayLink: row.type || '',
+        rowid: row.rowid,
+        imageHash: row.imagehash || null
+      };
+    });
+    return { items, totalResults: count, totalPages: pagesFor(count, pageSize) };
+  }
+};
+
+export const SEARCH_PROVIDERS = {
+  [shopProvider.id]: shopProvider,
+  [historyProvider.id]: historyProvider,
+  [webProvider.id]: webProvider
+};
+
+/**
+ * Providers enabled for this deployment, in priority order. Unknown ids are ignored.
+ */
+export function getEnabledProviders() {
+  const providers = SEARCH_PROVIDER_CONFIG.ENABLED
+    .map(id => SEARCH_PROVIDERS[id])
+    .filter(Boolean);
+  return providers.length > 0 ? providers : [webProvider];
+}
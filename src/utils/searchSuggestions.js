@@ -0,0 +1,105 @@
+// Search autocomplete: the customer's recent searches (localStorage, so they outlive the tab)
+// and popular design keywords from priced quotes in uploadpricing2
+
+import { fetchPopularKeywords } from '../supabase.js';
+
+export const SEARCH_SUGGESTIONS_CONFIG = {
+  HISTORY_KEY: 'cake_genie_search_history',
+  MAX_HISTORY: 10,
+  MAX_POPULAR: 8,
+  MAX_SUGGESTIONS: 8,
+  // Shown for an empty search bar, per kind
+  MAX_IDLE_SUGGESTIONS: 5
+};
+
+// Keywords the app writes when it has no design keyword yet
+const PLACEHOLDER_KEYWORDS = new Set(['uploaded_image', 'selected_from_search']);
+const FILE_NAME = /\.(jpe?g|png|gif|webp|avif|heic|heif)$/i;
+
+let popularPromise = null;
+
+export function getSearchHistory() {
+  try {
+    const history = JSON.parse(localStorage.getItem(SEARCH_SUGGESTIONS_CONFIG.HISTORY_KEY) || '[]');
+    return Array.isArray(history) ? history.filter(query => typeof query === 'string') : [];
+  } catch (error) {
+    console.warn('Could not read search history:', error);
+    return [];
+  }
+}
+
+function writeSearchHistory(history) {
+  try {
+    if (history.length > 0) {
+      localStorage.setItem(SEARCH_SUGGESTIONS_CONFIG.HISTORY_KEY, JSON.stringify(history));
+    } else {
+      localStorage.removeItem(SEARCH_SUGGESTIONS_CONFIG.HISTORY_KEY);
+    }
+  } catch (error) {
+    console.warn('Could not save search history:', error);
+  }
+  return history;
+}
+
+/**
+ * Moves a query to the front of the history. Returns the new history.
+ */
+export function addToSearchHistory(query) {
+  const trimmed = query.trim();
+  if (!trimmed) return getSearchHistory();
+
+  const history = getSearchHistory().filter(previous => previous.toLowerCase() !== trimmed.toLowerCase());
+  return writeSearchHistory([trimmed, ...history].slice(0, SEARCH_SUGGESTIONS_CONFIG.MAX_HISTORY));
+}
+
+export function clearSearchHistory() {
+  return writeSearchHistory([]);
+}
+
+/**
+ * Popular design keywords, loaded once per page load. Never rejects; no keywords on failure.
+ */
+export function loadPopularQueries() {
+  if (popularPromise) return popularPromise;
+
+  const config = SEARCH_SUGGESTIONS_CONFIG;
+  // Ask for extra rows: placeholders and file names are dropped below
+  popularPromise = fetchPopularKeywords(config.MAX_POPULAR * 3)
+    .then(rows => rows
+      .map(row => (row.keyword || '').trim().toLowerCase())
+      .filter(keyword => keyword.length > 1 && keyword.length <= 40)
+      .filter(keyword => !PLACEHOLDER_KEYWORDS.has(keyword) && !FILE_NAME.test(keyword))
+      .slice(0, config.MAX_POPULAR))
+    .catch(error => {
+      console.warn('Popular searches unavailable:', error);
+      return [];
+    });
+  return popularPromise;
+}
+
+/**
+ * Suggestions for what's typed so far: [{ text, kind: 'recent' | 'popular' }], recent first.
+ * An empty input shows the latest recent searches and the top popular ones.
+ */
+export function getSuggestions(input, history = [], popular = []) {
+  const config = SEARCH_SUGGESTIONS_CONFIG;
+  const term = (input || '').trim().toLowerCase();
+  const matches = (query) => {
+    const lower = query.toLowerCase();
+    return !term || (lower.includes(term) && lower !== term);
+  };
+
+  const seen = new Set();
+  const pick = (queries, kind, limit) => queries
+    .filter(query => matches(query) && !seen.has(query.toLowerCase()))
+    .slice(0, limit)
+    .map(query => {
+      seen.add(query.toLowerCase());
+      return { text: query, kind };
+    });
+
+  const idleLimit = term ? config.MAX_SUGGESTIONS : config.MAX_IDLE_SUGGESTIONS;
+  const recent = pick(history, 'recent', idleLimit);
+  const popularMatches = pick(popular, 'popular', idleLimit);
+  return [...recent, ...popularMatches].slice(0, config.MAX_SUGGESTIONS);
+}
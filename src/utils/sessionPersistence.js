@@ -0,0 +1,292 @@
+// Persists the in-progress session so a reload (or a mobile browser
+// discarding the tab) doesn't throw away an upload that's still being priced.
+// Small state goes to sessionStorage, image blobs to IndexedDB.
+// IndexedDB is shared by every tab, so blobs are keyed by a per-tab session id
+// ("<session>/gallery-<photo>") and only this tab's are ever deleted by it.
+
+import { putBlob, getBlob, deleteBlob, getAllKeys } from './imageStore.js';
+
+export const SESSION_KEY = 'cake_genie_session';
+export const SESSION_VERSION = 1;
+const SESSION_ID_KEY = 'cake_genie_session_id';
+
+// Blobs of sessions untouched for this long belong to closed tabs and are removed on startup
+export const SESSION_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+
+// Snapshot written by the Shopify pricing page (cacheSave in shopifypagepricing.liquid)
+const LEGACY_SESSION_KEY = 'cm_instant_pricing_session_v1';
+
+// Blob keys already written this page load, so we don't rewrite them on every save
+const savedBlobKeys = new Set();
+let sessionId = null;
+let lastTouchedAt = 0;
+
+// Survives reloads of this tab; a new tab starts a new session
+function getSessionId() {
+  if (sessionId) return sessionId;
+  try {
+    sessionId = sessionStorage.getItem(SESSION_ID_KEY);
+  } catch (_) {
+    // Storage unavailable; the id only lives for this page load
+  }
+  if (!sessionId) {
+    sessionId = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    try {
+      sessionStorage.setItem(SESSION_ID_KEY, sessionId);
+    } catch (_) {
+      // Same as above
+    }
+  }
+  return sessionId;
+}
+
+/**
+ * Upgrades older snapshots one version at a time.
+ * MIGRATIONS[n] turns a version n snapshot into version n + 1.
+ */
+const MIGRATIONS = {
+  // 0: the Liquid page snapshot
+  0: (snapshot) => {
+    const legacy = snapshot.legacy || {};
+    const hasImage = !!(legacy.rowid && legacy.image);
+    const hasPrice = legacy.addonPrice !== null && legacy.addonPrice !== undefined;
+
+    return {
+      version: 1,
+      savedAt: Date.now(),
+      gallery: hasImage ? [{
+        id: legacy.rowid,
+        publicUrl: legacy.image,
+        dbRecord: { rowid: legacy.rowid, id: legacy.rowid, image: legacy.image },
+        hasBlob: false
+      }] : [],
+      selectedImageIndex: 0,
+      priceResult: !hasImage ? null : hasPrice ? {
+        priceAddon: `+₱${Number(legacy.addonPrice)}`,
+        addonPrice: Number(legacy.addonPrice),
+        cakeDesignDetails: legacy.infoAddon || 'Design analyzed',
+        cakeType: legacy.type || 'Custom',
+        height: legacy.thickness || 'Standard',
+        keyword: (legacy.keyword || '').trim(),
+        showBento: !!legacy.showBento,
+        rowId: legacy.rowid,
+        supabaseUrl: legacy.image,
+        hasRealData: true
+      } : {
+        priceAddon: 'Processing...',
+        cakeDesignDetails: 'AI is analyzing your design...',
+        cakeType: 'Determining...',
+        height: 'Calculating...',
+        rowId: legacy.rowid,
+        supabaseUrl: legacy.image,
+        hasRealData: false
+      },
+      selection: { cakeType: legacy.type || '', height: legacy.thickness || '' },
+      cakeMessage: { message: legacy.message || '', candleNumber: '', name: '' },
+      schedule: null,
+      previousSearchState: null,
+      search: { query: '', input: '', currentPage: 1, totalResults: 0, showResults: false }
+    };
+  }
+};
+
+export function migrateSnapshot(snapshot) {
+  if (!snapshot || typeof snapshot.version !== 'number') return null;
+
+  let current = snapshot;
+  while (current.version < SESSION_VERSION) {
+    const migrate = MIGRATIONS[current.version];
+    if (!migrate) return null;
+    current = migrate(current);
+  }
+
+  // Snapshots from a newer build than this one can't be trusted
+  return current.version === SESSION_VERSION ? current : null;
+}
+
+function readSnapshot() {
+  try {
+    const raw = sessionStorage.getItem(SESSION_KEY);
+    if (raw) return JSON.parse(raw);
+
+    const legacyRaw = sessionStorage.getItem(LEGACY_SESSION_KEY);
+    if (legacyRaw) return { version: 0, legacy: JSON.parse(legacyRaw) };
+  } catch (error) {
+    console.warn('Could not read saved session:', error);
+  }
+  return null;
+}
+
+const blobKeyFor = (item) => `${getSessionId()}/gallery-${item.id}`;
+const touchedKeyFor = (id) => `${id}/touched`;
+
+// Marks this session as still in use, at most once an hour
+function touchSession() {
+  if (savedBlobKeys.size === 0 || Date.now() - lastTouchedAt < TOUCH_INTERVAL_MS) return;
+  lastTouchedAt = Date.now();
+  putBlob(touchedKeyFor(getSessionId()), lastTouchedAt).catch(() => { lastTouchedAt = 0; });
+}
+
+/**
+ * Deletes the blobs of other sessions that haven't been touched in SESSION_MAX_AGE_MS,
+ * and blobs saved before keys had a session id
+ */
+export async function pruneStaleSessions() {
+  const current = getSessionId();
+  const keysBySession = new Map();
+  (await getAllKeys()).forEach(key => {
+    const id = String(key).includes('/') ? String(key).split('/')[0] : null;
+    if (id === current) return;
+    if (!keysBySession.has(id)) keysBySession.set(id, []);
+    keysBySession.get(id).push(key);
+  });
+
+  for (const [id, keys] of keysBySession) {
+    const touchedAt = id ? await getBlob(touchedKeyFor(id)) : null;
+    if (typeof touchedAt === 'number' && Date.now() - touchedAt < SESSION_MAX_AGE_MS) continue;
+    await Promise.all(keys.map(key => deleteBlob(key)));
+  }
+}
+
+// Data/blob URLs are either huge or dead after reload; only http(s) URLs are kept
+const isRemoteUrl = (url) => typeof url === 'string' && /^https?:\/\//.test(url);
+
+/**
+ * Saves the session. Gallery blobs are written to IndexedDB in the background.
+ */
+export function saveSession({
+  gallery = [],
+  selectedImageIndex = 0,
+  priceResult = null,
+  selection = {},
+  cakeMessage = null,
+  schedule = null,
+  previousSearchState = null,
+  search = {}
+}) {
+  const snapshot = {
+    version: SESSION_VERSION,
+    savedAt: Date.now(),
+    gallery: gallery.map(item => ({
+      id: item.id,
+      publicUrl: item.publicUrl || null,
+      previewUrl: isRemoteUrl(item.dataUrl) ? item.dataUrl : null,
+      dbRecord: item.dbRecord || null,
+      fromSearch: !!item.fromSearch,
+      imageHash: item.imageHash || null,
+      renditionUrls: item.renditionUrls || null,
+      queueId: item.queueId || null,
+      uploadFailed: !!item.uploadFailed,
+      hasBlob: !!item.file
+    })),
+    selectedImageIndex,
+    priceResult,
+    selection,
+    cakeMessage,
+    schedule,
+    previousSearchState,
+    search
+  };
+
+  try {
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(snapshot));
+  } catch (error) {
+    console.warn('Could not save session:', error);
+  }
+
+  const galleryKeys = new Set();
+  gallery.forEach(item => {
+    if (!item.file) return;
+    const key = blobKeyFor(item);
+    galleryKeys.add(key);
+    if (savedBlobKeys.has(key)) return;
+    savedBlobKeys.add(key);
+    putBlob(key, item.file).catch(error => {
+      savedBlobKeys.delete(key);
+      console.warn('Could not save image for session:', error);
+    });
+  });
+
+  // Photos removed from the gallery (or the whole quote, on Start Over) don't need their blob any more
+  savedBlobKeys.forEach(key => {
+    if (galleryKeys.has(key)) return;
+    savedBlobKeys.delete(key);
+    deleteBlob(key).catch(error => console.warn('Could not delete saved image:', error));
+  });
+  touchSession();
+}
+
+// Reads back the gallery blobs of a saved snapshot; photos with nothing left to show are dropped
+async function restoreSnapshotBlobs(snapshot) {
+  const gallery = [];
+  for (const item of snapshot.gallery || []) {
+    let file = null;
+    if (item.hasBlob) {
+      try {
+        file = (await getBlob(blobKeyFor(item))) || null;
+      } catch (error) {
+        console.warn('Could not load saved image:', error);
+      }
+    }
+
+    const dataUrl = item.previewUrl || item.publicUrl || (file ? URL.createObjectURL(file) : null);
+    if (!dataUrl) continue; // Nothing left to show for this image
+
+    if (file) savedBlobKeys.add(blobKeyFor(item));
+    gallery.push({
+      id: item.id,
+      dataUrl,
+      file,
+      publicUrl: item.publicUrl || undefined,
+      dbRecord: item.dbRecord || undefined,
+      fromSearch: item.fromSearch,
+      imageHash: item.imageHash || null,
+      renditionUrls: item.renditionUrls || null,
+      queueId: item.queueId || null,
+      uploadFailed: !!item.uploadFailed
+    });
+  }
+
+  return {
+    ...snapshot,
+    gallery,
+    selectedImageIndex: Math.min(snapshot.selectedImageIndex || 0, Math.max(0, gallery.length - 1))
+  };
+}
+
+/**
+ * Loads and migrates the saved session, rehydrating gallery blobs.
+ * Resolves with null when there's nothing worth restoring.
+ * Also clears out blobs left behind by closed tabs, once this session's are read.
+ */
+export async function loadSession() {
+  const snapshot = migrateSnapshot(readSnapshot());
+  const restored = snapshot ? await restoreSnapshotBlobs(snapshot) : null;
+
+  pruneStaleSessions().catch(error => console.warn('Could not clear old saved images:', error));
+  return restored;
+}
+
+/**
+ * Forgets the session (Start Over). Also drops the legacy Liquid snapshot
+ * so it isn't migrated back in on the next load.
+ */
+export async function clearSession() {
+  try {
+    sessionStorage.removeItem(SESSION_KEY);
+    sessionStorage.removeItem(LEGACY_SESSION_KEY);
+  } catch (_) {
+    // Storage unavailable; nothing to clear
+  }
+
+  // Other tabs' sessions keep their blobs
+  const keys = [...savedBlobKeys, touchedKeyFor(getSessionId())];
+  savedBlobKeys.clear();
+  lastTouchedAt = 0;
+  try {
+    await Promise.all(keys.map(key => deleteBlob(key)));
+  } catch (error) {
+    console.warn('Could not clear saved images:', error);
+  }
+}
@@ -0,0 +1,27 @@
+// Price-point variants of the custom cake product on the Shopify store
+// Each variant is priced at one total (base size price + AI addon)
+
+// ===== EXACT VARIANT MAP (copied from shopifypagepricing.liquid) =====
+// Built-in fallback for when the configured variant source can't be loaded
+export const VARIANT_MAP = {
+  '999': '46747186790656', '1099': '46747215298816', '1199': '46747186757888',
+  '1299': '46747186561280', '1399': '46747215397120', '1499': '46747215331584',
+  '1599': '46747186823424', '1699': '46747215364352', '1799': '46750226153728',
+  '1899': '46750226186496', '1999': '46750226219264', '2099': '46750226252032',
+  '2199': '46750226415872', '2299': '46750226383104', '2399': '46750226284800',
+  '2499': '46750226317568', '2599': '46750226350336', '2699': '46750226448640',
+  '2799': '46750226481408', '2899': '46750226514176', '2999': '46750226546944',
+  '3099': '46750237982976', '3199': '46750238015744',
+  '3299': '46911751028992', '3399': '46911751061760', '3499': '46911751094528',
+  '3599': '46911751127296', '3699': '46911751160064', '3799': '46911751192832',
+  '3899': '46911751225600', '3999': '46911751258368', '4099': '46911751291136',
+  '4199': '46911751323904', '4299': '46911751356672', '4399': '46911751389440',
+  '4499': '46911751422208', '4599': '46911751454976', '4699': '46911751487744',
+  '4799': '46911751520512', '4899': '46911751553280', '4999': '46911751586048',
+  '299': '46921785442560', '399': '46921785475328', '499': '46921785508096',
+  '5099': '46921785540864', '5199': '46921785573632', '5299': '46921785606400',
+  '5399': '46921785639168', '5499': '46921785671936', '5599': '46921785704704',
+  '5699': '46921785737472', '5799': '46921785770240', '5899': '46921785803008',
+  '5999': '46921785835776', '6099': '46921785868544'
+};
+
@@ -0,0 +1,341 @@
+// Persistent queue for photos (and the quote row) that couldn't be uploaded
+// Entries live in IndexedDB; the page retries when the device is back online, and the
+// service worker (public/upload-sw.js) retries through Background Sync even after the tab closes
+//
+// Entries:
+//   photo: { id, kind: 'photo', status, blob, contentType, objectPath, renditions, publicUrl, renditionUrls }
+//   quote: { id, kind: 'quote', status, rowid, row, photos: [{ queueId, publicUrl, renditionUrls }] }
+// Both also carry attempts, nextAttemptAt and lastError once an attempt failed.
+// status is 'pending' until uploaded/inserted, then 'done'; after MAX_ATTEMPTS, or a rejection
+// retrying can't fix, it's 'failed' (a quote fails with its photos). The page removes entries once
+// it has applied them.
+//
+// A quote's row is built by buildQuoteRow up front, without the photo columns; the page and the
+// service worker add image, images, imagethumbs, imagemediums and imagewidths once every photo is up.
+
+import { putBlob, getBlob, getAllBlobs, deleteBlob, UPLOAD_QUEUE_STORE } from './imageStore.js';
+import {
+  uploadImageToSupabase,
+  uploadImageRenditions,
+  buildQuoteRow,
+  buildPhotoColumns,
+  insertQuoteRow,
+  createUploadPath,
+  getRenditionPath,
+  getRestEndpoints
+} from '../supabase.js';
+
+export const UPLOAD_QUEUE_CONFIG = {
+  ENABLED: import.meta.env.VITE_UPLOAD_QUEUE !== 'false',
+  SYNC_TAG: 'cake-genie-uploads',
+  // Shared with the service worker so only one of them works the queue at a time
+  LOCK_NAME: 'cake-genie-upload-queue',
+  SERVICE_WORKER_URL: '/upload-sw.js',
+  // Finished entries nobody picked up (the tab was closed for good) are dropped after this
+  DONE_ENTRY_TTL: 24 * 60 * 60 * 1000,
+  // Failed attempts wait RETRY_BASE_DELAY, doubling up to RETRY_MAX_DELAY (keep in step with public/upload-sw.js)
+  MAX_ATTEMPTS: 5,
+  RETRY_BASE_DELAY: 30 * 1000,
+  RETRY_MAX_DELAY: 30 * 60 * 1000
+};
+
+const listeners = new Set();
+let activeRun = null;
+let retryTimer = null;
+
+const notify = (entry) => listeners.forEach(listener => listener(entry));
+
+const putEntry = (entry) => putBlob(entry.id, entry, UPLOAD_QUEUE_STORE);
+
+export function isUploadQueueAvailable() {
+  return UPLOAD_QUEUE_CONFIG.ENABLED && typeof indexedDB !== 'undefined';
+}
+
+export function getQueueEntry(id) {
+  return getBlob(id, UPLOAD_QUEUE_STORE);
+}
+
+export function removeQueueEntry(id) {
+  return deleteBlob(id, UPLOAD_QUEUE_STORE);
+}
+
+/**
+ * Calls listener(entry) whenever a queued photo is uploaded or a queued quote row is created,
+ * here or in the service worker, and when an entry gives up (status 'failed').
+ * Returns the unsubscribe function.
+ */
+export function subscribeToUploadQueue(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Asks the service worker to run the queue once there's a connection.
+ * Browsers without Background Sync rely on the page's own online listener.
+ */
+async function requestBackgroundSync() {
+  try {
+    if (!('serviceWorker' in navigator)) return;
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.sync) {
+      await registration.sync.register(UPLOAD_QUEUE_CONFIG.SYNC_TAG);
+    }
+  } catch (error) {
+    console.warn('Background Sync unavailable, retrying from the page only:', error);
+  }
+}
+
+/**
+ * Queues a compressed photo (and its renditions) for upload.
+ * Paths are fixed now so a retry overwrites an earlier partial attempt.
+ */
+export async function enqueuePhoto(blob, renditions = {}) {
+  const objectPath = createUploadPath(blob);
+  const entry = {
+    id: `photo-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`,
+    kind: 'photo',
+    status: 'pending',
+    createdAt: Date.now(),
+    blob,
+    contentType: blob.type || 'image/jpeg',
+    objectPath,
+    renditions: Object.fromEntries(Object.entries(renditions || {}).map(([name, rendition]) => [
+      name,
+      { ...rendition, path: getRenditionPath(objectPath, name, rendition.ext) }
+    ])),
+    endpoints: getRestEndpoints(),
+    publicUrl: null,
+    renditionUrls: null
+  };
+
+  await putEntry(entry);
+  requestBackgroundSync();
+  return entry;
+}
+
+/**
+ * Queues the quote row insert. photos lists every photo in order, either uploaded
+ * ({ publicUrl, renditionUrls }) or still queued ({ queueId }). The row is inserted
+ * once all of them are uploaded, with the rowid given here.
+ */
+export async function enqueueQuote({ rowid, photos, fileName = null, imageHash = null, sourceUrl = null }) {
+  const entry = {
+    id: `quote-${rowid}`,
+    kind: 'quote',
+    status: 'pending',
+    createdAt: Date.now(),
+    rowid,
+    row: buildQuoteRow({ rowid, fileName, imageHash, sourceUrl }),
+    photos,
+    endpoints: getRestEndpoints()
+  };
+
+  await putEntry(entry);
+  requestBackgroundSync();
+  return entry;
+}
+
+async function uploadPhotoEntry(entry) {
+  const { publicUrl } = await uploadImageToSupabase(entry.blob, { objectPath: entry.objectPath });
+
+  let renditionUrls = null;
+  if (Object.keys(entry.renditions).length > 0) {
+    try {
+      renditionUrls = await uploadImageRenditions(entry.objectPath, entry.renditions);
+    } catch (renditionError) {
+      console.warn('Could not upload queued thumbnails:', renditionError);
+    }
+  }
+  return { ...entry, status: 'done', blob: null, renditions: {}, publicUrl, renditionUrls };
+}
+
+async function insertQuoteEntry(entry) {
+  const imageUrls = entry.photos.map(photo => photo.publicUrl);
+  const renditionUrls = {
+    thumb: entry.photos.map(photo => (photo.renditionUrls && photo.renditionUrls.thumb) || null),
+    medium: entry.photos.map(photo => (photo.renditionUrls && photo.renditionUrls.medium) || null),
+    widths: entry.photos.map(photo => (photo.renditionUrls && photo.renditionUrls.widths) || null)
+  };
+
+  try {
+    // Entries queued before rows were prebuilt only carry keyword and imagehash
+    await insertQuoteRow({
+      rowid: entry.rowid,
+      ...entry.row,
+      ...buildPhotoColumns(imageUrls[0], imageUrls, renditionUrls)
+    });
+  } catch (error) {
+    // The service worker (or an earlier run) got there first
+    if (error.code !== '23505') throw error;
+  }
+  return { ...entry, status: 'done' };
+}
+
+// 4xx other than timeouts, conflicts and rate limits won't change on a retry (bad key, policy, payload)
+const RETRYABLE_STATUSES = [408, 409, 423, 429];
+
+function isPermanentFailure(error) {
+  const status = Number(error.status || error.statusCode);
+  if (status) return status >= 400 && status < 500 && !RETRYABLE_STATUSES.includes(status);
+  // Database rejections carry a Postgres/PostgREST code; network failures don't
+  return Boolean(error.code);
+}
+
+/**
+ * The entry after a failed attempt: pending again after a backoff delay,
+ * or 'failed' once retrying is pointless
+ */
+function recordFailure(entry, error) {
+  const attempts = (entry.attempts || 0) + 1;
+  const failed = attempts >= UPLOAD_QUEUE_CONFIG.MAX_ATTEMPTS || isPermanentFailure(error);
+  const delay = Math.min(UPLOAD_QUEUE_CONFIG.RETRY_MAX_DELAY, UPLOAD_QUEUE_CONFIG.RETRY_BASE_DELAY * 2 ** (attempts - 1));
+  return {
+    ...entry,
+    status: failed ? 'failed' : 'pending',
+    attempts,
+    nextAttemptAt: failed ? null : Date.now() + delay,
+    lastError: error.message
+  };
+}
+
+const isDue = (entry) => !entry.nextAttemptAt || entry.nextAttemptAt <= Date.now();
+
+// Runs the queue again when the earliest backoff is over (the online event covers the offline case)
+function scheduleRetry(entries) {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+  const next = Math.min(...entries
+    .filter(entry => entry.status === 'pending' && entry.nextAttemptAt)
+    .map(entry => entry.nextAttemptAt));
+  if (Number.isFinite(next)) {
+    retryTimer = setTimeout(processUploadQueue, Math.max(0, next - Date.now()));
+  }
+}
+
+/**
+ * Uploads pending photos, then inserts quote rows whose photos are all uploaded.
+ * A failed entry waits out its backoff without holding up the others; going offline
+ * stops the run, and the next online event or sync tries again.
+ */
+async function runQueue() {
+  const entries = await getAllBlobs(UPLOAD_QUEUE_STORE);
+  const quotes = entries.filter(entry => entry.kind === 'quote' && entry.status === 'pending');
+  const failedPhotos = new Map(entries
+    .filter(entry => entry.kind === 'photo' && entry.status === 'failed')
+    .map(entry => [entry.id, entry]));
+
+  for (const entry of entries) {
+    if (entry.status !== 'pending' && Date.now() - entry.createdAt > UPLOAD_QUEUE_CONFIG.DONE_ENTRY_TTL) {
+      await removeQueueEntry(entry.id);
+    }
+  }
+
+  // Counts a failed attempt; being offline isn't the entry's fault, so that ends the run instead
+  const fail = async (entry, error) => {
+    if (!navigator.onLine) throw error;
+    const updated = recordFailure(entry, error);
+    console.warn(`Queued ${entry.kind} ${entry.id} failed (attempt ${updated.attempts}):`, error);
+    await putEntry(updated);
+    if (updated.status === 'failed') notify(updated);
+    return updated;
+  };
+
+  for (const entry of entries) {
+    if (entry.kind !== 'photo' || entry.status !== 'pending' || !isDue(entry)) continue;
+    let done;
+    try {
+      done = await uploadPhotoEntry(entry);
+    } catch (error) {
+      const updated = await fail(entry, error);
+      if (updated.status === 'failed') failedPhotos.set(updated.id, updated);
+      continue;
+    }
+
+    // Quotes keep the URL, so the photo entry can be removed once the page applied it
+    for (const quote of quotes) {
+      const photo = quote.photos.find(item => item.queueId === done.id);
+      if (!photo) continue;
+      photo.publicUrl = done.publicUrl;
+      photo.renditionUrls = done.renditionUrls;
+      await putEntry(quote);
+    }
+    await putEntry(done);
+    notify(done);
+  }
+
+  for (const quote of quotes) {
+    // A photo may have finished before its quote was queued
+    quote.photos.forEach(photo => {
+      const uploaded = !photo.publicUrl && entries.find(entry => entry.id === photo.queueId && entry.publicUrl);
+      if (uploaded) {
+        photo.publicUrl = uploaded.publicUrl;
+        photo.renditionUrls = uploaded.renditionUrls;
+      }
+    });
+
+    // Without every photo the quote can't be priced
+    const failedPhoto = quote.photos.find(photo => !photo.publicUrl && failedPhotos.has(photo.queueId));
+    if (failedPhoto) {
+      const failed = { ...quote, status: 'failed', lastError: failedPhotos.get(failedPhoto.queueId).lastError };
+      await putEntry(failed);
+      notify(failed);
+      continue;
+    }
+    if (quote.photos.some(photo => !photo.publicUrl) || !isDue(quote)) continue;
+
+    let done;
+    try {
+      done = await insertQuoteEntry(quote);
+    } catch (error) {
+      await fail(quote, error);
+      continue;
+    }
+    await putEntry(done);
+    notify(done);
+  }
+
+  scheduleRetry(await getAllBlobs(UPLOAD_QUEUE_STORE));
+}
+
+/**
+ * Works through the queue now, if online. Never throws.
+ */
+export function processUploadQueue() {
+  if (!isUploadQueueAvailable() || !navigator.onLine) return Promise.resolve();
+  if (activeRun) return activeRun;
+
+  const run = () => runQueue();
+  activeRun = (navigator.locks ? navigator.locks.request(UPLOAD_QUEUE_CONFIG.LOCK_NAME, run) : run())
+    .catch(error => console.warn('Upload queue will retry later:', error))
+    .finally(() => { activeRun = null; });
+  return activeRun;
+}
+
+/**
+ * Registers the upload service worker and retries the queue whenever the
+ * device comes back online. Returns a cleanup function.
+ */
+export function startUploadQueue() {
+  if (!isUploadQueueAvailable()) return () => {};
+
+  const handleOnline = () => processUploadQueue();
+  const handleWorkerMessage = (event) => {
+    if (event.data && event.data.type === 'upload-queue') notify(event.data.entry);
+  };
+
+  window.addEventListener('online', handleOnline);
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register(UPLOAD_QUEUE_CONFIG.SERVICE_WORKER_URL)
+      .catch(error => console.warn('Upload service worker not registered:', error));
+    navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+  }
+  processUploadQueue();
+
+  return () => {
+    clearTimeout(retryTimer);
+    window.removeEventListener('online', handleOnline);
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.removeEventListener('message', handleWorkerMessage);
+    }
+  };
+}
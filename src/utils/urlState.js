@@ -0,0 +1,71 @@
+// URL-driven app state: shareable quote links and search URLs
+// Routes: /quote/<rowid>, /search?q=<query>&page=<n>&filters=<id,id>, and the legacy ?rowid= from the Shopify page
+
+const QUOTE_PATH = /^\/quote\/([0-9a-f-]{8,})\/?$/i;
+
+/**
+ * Reads the current location into a route object:
+ * { view: 'quote', rowid } | { view: 'search', query, page, filters } | { view: 'home' }
+ */
+export function parseLocation(location = window.location) {
+  const params = new URLSearchParams(location.search);
+
+  const quoteMatch = location.pathname.match(QUOTE_PATH);
+  if (quoteMatch) {
+    return { view: 'quote', rowid: quoteMatch[1] };
+  }
+
+  // Links shared from the Liquid page use ?rowid=
+  const legacyRowId = params.get('rowid');
+  if (legacyRowId) {
+    return { view: 'quote', rowid: legacyRowId };
+  }
+
+  if (location.pathname.replace(/\/$/, '') === '/search') {
+    const query = (params.get('q') || '').trim();
+    if (query) {
+      const page = Math.max(1, parseInt(params.get('page'), 10) || 1);
+      const filters = (params.get('filters') || '').split(',').filter(Boolean);
+      return { view: 'search', query, page, filters };
+    }
+  }
+
+  return { view: 'home' };
+}
+
+export function buildQuotePath(rowid) {
+  return `/quote/${encodeURIComponent(rowid)}`;
+}
+
+export function buildSearchPath(query, page = 1, filters = []) {
+  const params = new URLSearchParams({ q: query });
+  if (page > 1) params.set('page', String(page));
+  if (filters.length > 0) params.set('filters', filters.join(','));
+  return `/search?${params.toString()}`;
+}
+
+/**
+ * Full shareable URL for a quote
+ */
+export function getQuoteShareUrl(rowid) {
+  return `${window.location.origin}${buildQuotePath(rowid)}`;
+}
+
+/**
+ * Pushes a new history entry unless we're already there.
+ * Use replace for state corrections that shouldn't add a back step.
+ */
+export function navigateTo(path, { replace = false } = {}) {
+  const current = `${window.location.pathname}${window.location.search}`;
+  if (current === path) return;
+
+  try {
+    if (replace) {
+      window.history.replaceState({ path }, '', path);
+    } else {
+      window.history.pushState({ path }, '', path);
+    }
+  } catch (error) {
+    console.warn('Could not update URL:', error);
+  }
+}
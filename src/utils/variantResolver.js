@@ -0,0 +1,142 @@
+// Resolves a quote total to a price-point variant of the cake product
+// Price points come from a data source instead of a hand-maintained table
+
+import { fetchPriceVariants, logUnresolvedVariant } from '../supabase.js';
+import { VARIANT_MAP } from './shopifyVariants.js';
+import { CART_CONFIG } from './cart.js';
+
+export const VARIANT_CONFIG = {
+  // 'supabase' (pricevariants table), 'shopify' (product JSON) or 'static' (VARIANT_MAP)
+  SOURCE: import.meta.env.VITE_VARIANT_SOURCE || 'supabase',
+  // Handle of the Shopify product whose variants are the price points
+  PRODUCT_HANDLE: import.meta.env.VITE_SHOPIFY_PRICE_PRODUCT_HANDLE || '',
+  // 'exact', 'nearest', 'up' (never charge less) or 'down' (never charge more)
+  ROUNDING: import.meta.env.VITE_VARIANT_ROUNDING || 'nearest',
+  // Largest difference (₱) we'll round across before calling a total unresolved
+  MAX_DIFFERENCE: Number(import.meta.env.VITE_VARIANT_MAX_DIFFERENCE || 100)
+};
+
+// Price points from the built-in map, sorted by price
+export const STATIC_PRICE_POINTS = toPricePoints(
+  Object.entries(VARIANT_MAP).map(([price, variantId]) => ({ price, variantId }))
+);
+
+function toPricePoints(rows) {
+  return rows
+    .map(row => ({ price: Math.round(Number(row.price)), variantId: String(row.variantId) }))
+    .filter(point => Number.isFinite(point.price) && point.variantId)
+    .sort((a, b) => a.price - b.price);
+}
+
+async function loadFromSupabase() {
+  const rows = await fetchPriceVariants();
+  return toPricePoints(rows.map(row => ({ price: row.price, variantId: row.variantid })));
+}
+
+async function loadFromShopify() {
+  if (!VARIANT_CONFIG.PRODUCT_HANDLE) {
+    throw new Error('VITE_SHOPIFY_PRICE_PRODUCT_HANDLE is missing');
+  }
+
+  const response = await fetch(`${CART_CONFIG.STORE_ORIGIN}/products/${VARIANT_CONFIG.PRODUCT_HANDLE}.js`);
+  if (!response.ok) {
+    throw new Error(`Product request failed (${response.status})`);
+  }
+
+  const product = await response.json();
+  // Product JSON prices are in centavos
+  return toPricePoints((product.variants || [])
+    .filter(variant => variant.available !== false)
+    .map(variant => ({ price: Number(variant.price) / 100, variantId: variant.id })));
+}
+
+let pricePointsPromise = null;
+
+/**
+ * Loads price points once per page load. Falls back to the built-in map
+ * when the source is unreachable or empty.
+ */
+export function loadPricePoints() {
+  if (pricePointsPromise) return pricePointsPromise;
+
+  const load = VARIANT_CONFIG.SOURCE === 'shopify' ? loadFromShopify
+    : VARIANT_CONFIG.SOURCE === 'supabase' ? loadFromSupabase
+    : null;
+
+  pricePointsPromise = (load ? load() : Promise.resolve(STATIC_PRICE_POINTS))
+    .then(points => {
+      if (points.length === 0) throw new Error('No price points found');
+      return points;
+    })
+    .catch(error => {
+      console.warn(`Could not load price points from ${VARIANT_CONFIG.SOURCE}, using built-in map:`, error);
+      return STATIC_PRICE_POINTS;
+    });
+
+  return pricePointsPromise;
+}
+
+/**
+ * Finds the variant for a total.
+ * Returns { variantId, price, exact, difference } or null when unresolved.
+ */
+export function resolveVariant(total, pricePoints, {
+  rounding = VARIANT_CONFIG.ROUNDING,
+  maxDifference = VARIANT_CONFIG.MAX_DIFFERENCE
+} = {}) {
+  if (!pricePoints || pricePoints.length === 0) return null;
+
+  const exact = pricePoints.find(point => point.price === total);
+  if (exact) {
+    return { variantId: exact.variantId, price: exact.price, exact: true, difference: 0 };
+  }
+  if (rounding === 'exact') return null;
+
+  const above = pricePoints.find(point => point.price > total) || null;
+  const below = [...pricePoints].reverse().find(point => point.price < total) || null;
+
+  let match = null;
+  if (rounding === 'up') {
+    match = above;
+  } else if (rounding === 'down') {
+    match = below;
+  } else if (above && below) {
+    // Ties round up so the shop isn't short-changed
+    match = (above.price - total) <= (total - below.price) ? above : below;
+  } else {
+    match = above || below;
+  }
+
+  if (!match || Math.abs(match.price - total) > maxDifference) return null;
+
+  return {
+    variantId: match.variantId,
+    price: match.price,
+    exact: false,
+    difference: match.price - total
+  };
+}
+
+// Totals already reported this page load
+const reportedTotals = new Set();
+
+/**
+ * Tells the shop team about a total without an exact variant (once per combination)
+ */
+export function reportInexactTotal(total, resolution, { cakeType, height, size, rowid } = {}) {
+  const key = `${total}|${cakeType}|${height}|${size}`;
+  if (reportedTotals.has(key)) return;
+  reportedTotals.add(key);
+
+  if (!resolution) {
+    console.warn(`No variant for ₱${total} (${cakeType}, ${height}, ${size})`);
+  }
+  logUnresolvedVariant({
+    total,
+    roundedTo: resolution ? resolution.price : null,
+    cakeType,
+    height,
+    size,
+    rowid
+  });
+}
@@ -1,11 +1,34 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import ingestImageHandler from './api/ingest-image.js'
+import imageSearchHandler from './api/image-search.js'
 
-// https://vitejs.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  server: {
-    host: true,
-    port: 3000,
+// Local stand-in for the Vercel functions in api/, so `npm run dev` can search and copy images
+const apiDevServer = () => ({
+  name: 'api-dev-server',
+  configureServer(server) {
+    server.middlewares.use('/api/ingest-image', (req, res) => ingestImageHandler(req, res))
+    server.middlewares.use('/api/image-search', (req, res) => imageSearchHandler(req, res))
   },
-})
\ No newline at end of file
+})
+
+// https://vitejs.dev/config/
+export default defineConfig(({ mode }) => {
+  // Server-only variables (no VITE_ prefix) from .env, for the functions above; never bundled
+  const env = loadEnv(mode, process.cwd(), '')
+  for (const name of ['GOOGLE_SEARCH_API_KEY', 'GOOGLE_SEARCH_ENGINE_ID', 'API_ALLOWED_ORIGINS']) {
+    if (env[name] && !process.env[name]) process.env[name] = env[name]
+  }
+
+  return {
+    plugins: [react(), apiDevServer()],
+    // ES module workers so the compression worker can lazy-load the HEIC decoder
+    worker: {
+      format: 'es',
+    },
+    server: {
+      host: true,
+      port: 3000,
+    },
+  }
+})